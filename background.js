@@ -4,6 +4,13 @@
 importScripts(chrome.runtime.getURL('logger.js'));
 importScripts('src/config.js');
 importScripts('src/eventBus.global.js');
+importScripts('src/zip.global.js');
+importScripts('src/labelLayout.global.js');
+importScripts('src/code128.global.js');
+importScripts('src/labelStore.global.js');
+importScripts('src/mutex.global.js');
+importScripts('src/siteProfile.global.js');
+importScripts('src/jobRecovery.global.js');
 const log = createLogger('HH:bg');
 const queueLog = createLogger('HH:queue');
 const labelLog = createLogger('HH:label');
@@ -22,11 +29,26 @@ function setupMenus(){
     chrome.contextMenus.create({ id: 'preset-quiet', title: 'Quiet', contexts: ['action'] });
     chrome.contextMenus.create({ id: 'preset-focus', title: 'Focus Label Debug', contexts: ['action'] });
     chrome.contextMenus.create({ id: 'preset-trace', title: 'Full Trace', contexts: ['action'] });
+    const documentUrlPatterns = chrome.runtime.getManifest().content_scripts[0].matches;
+    chrome.contextMenus.create({
+      id: 'queue-order', title: 'Queue label for this order', contexts: ['page', 'link'], documentUrlPatterns
+    });
+    Object.entries(JOB_KINDS).forEach(([kind, { title }]) => {
+      chrome.contextMenus.create({
+        id: `queue-order:${kind}`, parentId: 'queue-order', title, contexts: ['page', 'link'], documentUrlPatterns
+      });
+    });
   } catch {}
 }
 
-chrome.contextMenus?.onClicked.addListener(info => {
-  if (info.menuItemId === 'preset-quiet') {
+chrome.contextMenus?.onClicked.addListener((info, tab) => {
+  if (String(info.menuItemId).startsWith('queue-order:')) {
+    // The content script knows which order row was right-clicked.
+    if (!tab?.id) return;
+    const kind = String(info.menuItemId).slice('queue-order:'.length);
+    chrome.tabs.sendMessage(tab.id, { type: 'QUEUE_CONTEXT_ORDER', kind }, { frameId: info.frameId ?? 0 })
+      .catch(e => log.warn('queue-order: content script not reachable', { tabId: tab.id, error: String(e) }));
+  } else if (info.menuItemId === 'preset-quiet') {
     applyPreset({ logLevel:'warn', enableNamespaces:[], sampling:{}, rateLimit:{ windowMs:2000, maxPerWindow:20 } });
   } else if (info.menuItemId === 'preset-focus') {
     applyPreset({ logLevel:'debug', enableNamespaces:['HH:label'], sampling:{}, rateLimit:{ windowMs:2000, maxPerWindow:20 } });
@@ -113,12 +135,38 @@ try {
 }
 
 // Configuration constants loaded from src/config.js
-const { ORIGIN, NOTIF_ICON, JOBS_KEY, LABELS_KEY, LOCK_KEY, MAX_TRIES, HEARTBEAT_MIN } = CONFIG;
+const {
+  NOTIF_ICON, JOBS_KEY, SITE_PROFILE_KEY, LABELS_KEY, LOCK_KEY, MAX_TRIES, HEARTBEAT_MIN,
+  LEASE_MS, LEASE_RENEW_MS, JOB_STALL_MS, JOB_DEADLINE_MS,
+  HISTORY_KEY, HISTORY_RETENTION_KEY, DEFAULT_HISTORY_RETENTION, PENDING_PRINT_KEY,
+  PRINT_LAYOUT_KEY, DEFAULT_PRINT_LAYOUT, STARTUP_RESUME_KEY, DEFAULT_STARTUP_RESUME,
+  CONCURRENCY_KEY, DEFAULT_CONCURRENCY, MAX_CONCURRENCY,
+  REUSE_WORKER_TAB_KEY, TAB_LOAD_MS, TAB_PROBE_MS, DEDUP_POLICY_KEY, DEFAULT_DEDUP_POLICY,
+  JOB_KINDS, SENT_EMAILS_KEY, SENT_EMAILS_KEPT, EMAIL_SETTLE_MS
+} = CONFIG;
 
-// Queue processing is disabled until the user queues a job via "Ship It!".
-// This prevents any stored jobs from auto-running when the extension starts.
+// Queue processing is disabled until the user queues a job via "Ship It!",
+// presses "Run queue now", or the startup resume setting allows it. This
+// prevents stored jobs from auto-running unless someone asked for it.
 let processingEnabled = false;
 
+// Active site profile: the stored one, or the built-in defaults when none is
+// saved or it no longer validates. Reloaded whenever the options page saves.
+let siteProfile = SiteProfile.DEFAULT;
+async function loadSiteProfile(){
+  const stored = await get(SITE_PROFILE_KEY, null);
+  try {
+    siteProfile = stored ? SiteProfile.normalize(stored) : SiteProfile.DEFAULT;
+  } catch (e) {
+    siteProfile = SiteProfile.DEFAULT;
+    log.error('stored site profile invalid; using defaults', String(e));
+  }
+}
+const siteProfileLoad = loadSiteProfile();
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && SITE_PROFILE_KEY in changes) loadSiteProfile();
+});
+
 // Sanity check: pdf-lib availability
 if (!self.PDFLib || !PDFLib.PDFDocument) {
   log.error('pdf-lib not loaded. Ensure pdf-lib.min.js is present and importScripts succeeded.');
@@ -164,116 +212,500 @@ function base64ToArrayBuffer(base64){
 }
 
 // ---------- Job enqueue / labels ----------
+// All read-modify-write of the job list goes through jobsMutex so message
+// handlers and the processor never overwrite each other's updates. `fn`
+// mutates the array in place; its return value is passed through.
+const jobsMutex = createMutex();
+function updateJobs(fn){
+  return jobsMutex.run(async () => {
+    const jobs = await get(JOBS_KEY, []);
+    const result = await fn(jobs);
+    await set(JOBS_KEY, jobs);
+    return result;
+  });
+}
+
+// Same order, account and job kind. Orders match on iorder when both sides
+// know it (manually queued jobs, captured labels), else on the visible order
+// number. Without either the job falls back to the account's bottom "O" row,
+// so it cannot be matched.
+function sameOrder(a, b){
+  const order = a.iorder && b.iorder
+    ? String(a.iorder) === String(b.iorder)
+    : !!a.visibleOrder && a.visibleOrder === (b.visibleOrder ?? b.orderNumber);
+  return order
+    && (a.accountUrl || null) === (b.accountUrl || null)
+    && (a.kind || 'demo') === (b.kind || 'demo');
+}
+
+// Queue/LabelStore key for a captured label. Demo labels keep the bare iorder
+// (as before job kinds existed) so a return label for the same order does not
+// collide with its demo label.
+function labelKey(iorder, kind){
+  return !kind || kind === 'demo' ? String(iorder) : `${iorder}-${kind}`;
+}
+
 function createJobManager(config, bus){
+  // Queue a Ship It! or manually requested job, applying the dedup policy
+  // against live jobs and captured labels. Resolves to { decision:
+  // 'queued'|'replaced'|'skipped', jobId, reason? } for the content script to
+  // report.
   async function enqueueJob(job){
     log.info('enqueueJob', job);
-    const jobs = await get(config.JOBS_KEY, []);
-    jobs.push({ ...job, status: 'pending', tries: 0, nextAt: 0 });
-    await set(config.JOBS_KEY, jobs);
+    const kind = job.kind || await get(config.DEFAULT_JOB_KIND_KEY, config.DEFAULT_JOB_KIND);
+    if (!config.JOB_KINDS[kind]) throw new Error(`Unknown job kind: ${kind}`);
+    job = { ...job, kind };
+    const policy = await get(config.DEDUP_POLICY_KEY, config.DEFAULT_DEDUP_POLICY);
+    const labels = await get(LABELS_KEY, []);
+    const label = policy === 'force' ? null : labels.find(x => sameOrder(job, x));
+
+    const result = await updateJobs(jobs => {
+      const live = policy === 'force' ? [] : jobs.filter(j =>
+        ['pending', 'retry', 'processing'].includes(j.status) && sameOrder(job, j));
+      const busy = live.find(j => j.status === 'processing');
+      if (policy === 'skip' || busy) {
+        if (busy) return { decision: 'skipped', jobId: busy.jobId, reason: 'Order is being processed' };
+        if (live.length) return { decision: 'skipped', jobId: live[0].jobId, reason: 'Order is already queued' };
+        if (label) return { decision: 'skipped', jobId: null, reason: `Label already captured (demo ${label.demoOrder})` };
+      }
+      live.forEach(j => jobs.splice(jobs.indexOf(j), 1));
+      jobs.push({ ...job, status: 'pending', tries: 0, nextAt: 0 });
+      return {
+        decision: live.length || label ? 'replaced' : 'queued',
+        jobId: job.jobId,
+        replacedJobs: live.map(j => j.jobId)
+      };
+    });
+
+    if (result.decision === 'skipped') {
+      bus.emit('jobSkipped', { job, reason: result.reason });
+      return result;
+    }
+    // The old label has to go or pushLabel would drop the fresh capture as a
+    // demoOrder duplicate.
+    if (label) {
+      await removeLabel(label.demoOrder).catch(e => log.warn('replace: label already gone', String(e)));
+      result.replacedLabel = label.demoOrder;
+    }
     // Kick the processor without awaiting so we can respond to the sender
     // immediately. Any errors are logged.
     processingEnabled = true;
     bus.emit('jobQueued', job);
     runProcessor().catch(e => log.error('runProcessor enqueue error', String(e)));
+    return result;
+  }
+
+  // Put a failed/retry job back to pending with a fresh try budget.
+  async function retryJob(jobId){
+    log.info('retryJob', { jobId });
+    const job = await updateJobs(jobs => {
+      const found = jobs.find(j => j.jobId === jobId);
+      if (!found) throw new Error(`Job not found: ${jobId}`);
+      if (found.status === 'processing') throw new Error('Job is currently processing');
+      return Object.assign(found, { status: 'pending', tries: 0, nextAt: 0 });
+    });
+    processingEnabled = true;
+    bus.emit('jobRetried', job);
+    runProcessor().catch(e => log.error('runProcessor retry error', String(e)));
+  }
+
+  async function retryFailedJobs(){
+    const failed = await updateJobs(jobs => {
+      const list = jobs.filter(j => j.status === 'failed');
+      list.forEach(j => Object.assign(j, { status: 'pending', tries: 0, nextAt: 0 }));
+      return list;
+    });
+    log.info('retryFailedJobs', { count: failed.length });
+    if (!failed.length) return 0;
+    processingEnabled = true;
+    failed.forEach(j => bus.emit('jobRetried', j));
+    runProcessor().catch(e => log.error('runProcessor retry error', String(e)));
+    return failed.length;
+  }
+
+  // Drop a job from the queue. A job that is mid-processing in this worker has
+  // its attempt aborted: it stops before queueing a label and its tab closes.
+  // The processor tolerates the job disappearing when it writes back results.
+  async function cancelJob(jobId){
+    log.info('cancelJob', { jobId });
+    const job = await updateJobs(jobs => {
+      const pos = jobs.findIndex(j => j.jobId === jobId);
+      if (pos === -1) throw new Error(`Job not found: ${jobId}`);
+      return jobs.splice(pos, 1)[0];
+    });
+    const attempt = activeAttempts.get(jobId);
+    if (attempt) abortAttempt(attempt, 'Cancelled by user');
+    bus.emit('jobCancelled', job);
+  }
+
+  // Turn processing on for whatever is already queued. Resolves to the number
+  // of pending/retry jobs the processor will pick up.
+  async function runQueue(){
+    const jobs = await get(JOBS_KEY, []);
+    const count = jobs.filter(j => j.status === 'pending' || j.status === 'retry').length;
+    log.info('runQueue', { count });
+    processingEnabled = true;
+    bus.emit('queueResumed', { count });
+    runProcessor().catch(e => log.error('runProcessor resume error', String(e)));
+    return count;
   }
-  return { enqueueJob };
+
+  return { enqueueJob, retryJob, retryFailedJobs, cancelJob, runQueue };
 }
 
-const { enqueueJob } = createJobManager(CONFIG, eventBus);
+const { enqueueJob, retryJob, retryFailedJobs, cancelJob, runQueue } = createJobManager(CONFIG, eventBus);
 eventBus.on('jobQueued', job => queueLog.debug('jobQueued', job));
+eventBus.on('jobSkipped', ({ job, reason }) => queueLog.info('jobSkipped', { visibleOrder: job.visibleOrder, reason }));
+eventBus.on('jobRetried', job => queueLog.debug('jobRetried', { jobId: job.jobId }));
+eventBus.on('jobCancelled', job => queueLog.debug('jobCancelled', { jobId: job.jobId }));
+eventBus.on('queueResumed', info => queueLog.debug('queueResumed', info));
+
+// Tell the tab a job was shipped from how it is going; content.js turns these
+// into the on-page toast. The tab may have navigated off the site or closed.
+function reportJob(job, state, extra = {}){
+  eventBus.emit('jobProgress', {
+    jobId: job.jobId, visibleOrder: job.visibleOrder || null, sourceTabId: job.sourceTabId ?? null, state, ...extra
+  });
+}
+eventBus.on('jobProgress', ({ sourceTabId, ...progress }) => {
+  queueLog.trace('jobProgress', progress);
+  if (sourceTabId == null) return;
+  chrome.tabs.sendMessage(sourceTabId, { type: 'JOB_PROGRESS', ...progress })
+    .catch(e => queueLog.trace('job progress not delivered', { sourceTabId, error: String(e) }));
+});
+
+// Same contract as updateJobs, for the label queue. Concurrent workers can
+// finish jobs at the same moment, so every background write goes through here.
+const labelsMutex = createMutex();
+function updateLabels(fn){
+  return labelsMutex.run(async () => {
+    const labels = await get(LABELS_KEY, []);
+    const result = await fn(labels);
+    await set(LABELS_KEY, labels);
+    return result;
+  });
+}
+
+// Same contract again, for the print history. Archiving a batch and the
+// legacy-blob migration both rewrite it.
+const historyMutex = createMutex();
+function updateHistory(fn){
+  return historyMutex.run(async () => {
+    const history = await get(HISTORY_KEY, []);
+    const result = await fn(history);
+    await set(HISTORY_KEY, history);
+    return result;
+  });
+}
 
-async function pushLabel(item){
+// Queue a label. The PDF bytes go to IndexedDB (LabelStore) keyed by demo
+// order; the queue entry in chrome.storage.local carries only metadata.
+async function pushLabel(item, bytes){
   log.info('pushLabel', item);
-  const labels = await get(LABELS_KEY, []);
-  if (!labels.find(x => x.demoOrder === item.demoOrder)) {
+  await updateLabels(async labels => {
+    if (labels.find(x => x.demoOrder === item.demoOrder)) {
+      log.warn('label duplicate ignored (demoOrder de-dupe)', item.demoOrder);
+      return;
+    }
+    if (bytes) {
+      await LabelStore.putLabel(item.demoOrder, bytes);
+      item.size = bytes.byteLength;
+    }
+    // Same bytes under a different demo order usually means the site served
+    // the previous order's label; keep it but flag it for the user.
+    const twin = item.sha256 && labels.find(x => x.sha256 === item.sha256);
+    if (twin) {
+      item.duplicateOf = twin.demoOrder;
+      labelLog.warn('label content matches another order', { demoOrder: item.demoOrder, duplicateOf: twin.demoOrder });
+    }
     labels.push(item);
-    await set(LABELS_KEY, labels);
+  });
+}
+
+async function removeLabel(demoOrder){
+  log.info('removeLabel', { demoOrder });
+  await updateLabels(labels => {
+    const pos = labels.findIndex(x => x.demoOrder === demoOrder);
+    if (pos === -1) throw new Error(`Label not found: ${demoOrder}`);
+    labels.splice(pos, 1);
+  });
+  await LabelStore.deleteLabels([demoOrder]);
+}
+
+// Empty the label queue and its stored bytes. A pending print loses its
+// labels with them, so it is dropped too. Runs under the labels mutex so a
+// label captured meanwhile is either cleared with the rest or queued after.
+async function clearLabels(){
+  const count = await updateLabels(async labels => {
+    const n = labels.length;
+    labels.splice(0);
+    await LabelStore.clearLabels();
+    return n;
+  });
+  await set(PENDING_PRINT_KEY, null);
+  log.info('clearLabels', { count });
+  return count;
+}
+
+// One-time move of base64 PDF data from chrome.storage.local (queue items and
+// print history written before LabelStore existed) into IndexedDB. Safe to run
+// on every start: it only touches entries that still carry `data`.
+async function migrateLegacyBlobs(){
+  const labels = await get(LABELS_KEY, []);
+  const moved = new Set();
+  for (const x of labels.filter(l => l.data)) {
+    await LabelStore.putLabel(x.demoOrder, base64ToArrayBuffer(x.data));
+    moved.add(x.demoOrder);
+  }
+  if (moved.size) {
+    // Re-read so labels pushed while we were copying are not lost.
+    await updateLabels(fresh => {
+      fresh.forEach(x => {
+        if (!moved.has(x.demoOrder) || !x.data) return;
+        x.size = base64ToArrayBuffer(x.data).byteLength;
+        delete x.data;
+      });
+    });
+  }
+
+  const legacyBatches = await updateHistory(async history => {
+    const legacy = history.filter(b => b.data);
+    for (const b of legacy) {
+      const record = { merged: base64ToArrayBuffer(b.data), labels: {} };
+      b.orders.forEach(o => {
+        if (o.data) record.labels[o.demoOrder] = base64ToArrayBuffer(o.data);
+        o.hasData = !!o.data;
+        delete o.data;
+      });
+      await LabelStore.putBatch(b.batchId, record);
+      delete b.data;
+    }
+    return legacy;
+  });
+
+  if (moved.size || legacyBatches.length) {
+    log.info('migrated label PDFs to IndexedDB', { labels: moved.size, batches: legacyBatches.length });
+  }
+}
+
+migrateLegacyBlobs().catch(e => log.error('migrateLegacyBlobs error', String(e)));
+
+// Reorder the print sequence. `order` lists demoOrders in the desired order;
+// labels not mentioned (e.g. captured while the popup was open) keep their
+// relative order at the end.
+async function reorderLabels(order){
+  log.info('reorderLabels', { order });
+  await updateLabels(labels => {
+    const rank = new Map((order || []).map((d, i) => [d, i]));
+    const sorted = labels
+      .map((item, i) => ({ item, key: rank.has(item.demoOrder) ? rank.get(item.demoOrder) : order.length + i }))
+      .sort((a, b) => a.key - b.key)
+      .map(x => x.item);
+    labels.splice(0, labels.length, ...sorted);
+  });
+}
+
+// Check a captured body really is a usable PDF and fingerprint it.
+// Throws with a readable reason otherwise.
+async function validatePdf(buffer){
+  const bytes = new Uint8Array(buffer);
+  if (!bytes.length) throw new Error('Captured PDF is empty');
+  const head = String.fromCharCode(...bytes.subarray(0, 1024));
+  if (head.indexOf('%PDF-') === -1) {
+    throw new Error(/<html|<!doctype/i.test(head)
+      ? 'Captured response is an HTML page, not a PDF (session expired?)'
+      : 'Captured response is not a PDF (missing %PDF- header)');
+  }
+  let pageCount = null;
+  if (self.PDFLib && PDFLib.PDFDocument) {
+    try {
+      const doc = await PDFLib.PDFDocument.load(buffer);
+      pageCount = doc.getPageCount();
+    } catch (e) {
+      throw new Error(`Captured PDF could not be parsed: ${e && e.message ? e.message : e}`);
+    }
+    if (!pageCount) throw new Error('Captured PDF has no pages');
   } else {
-    log.warn('label duplicate ignored (demoOrder de-dupe)', item.demoOrder);
+    labelLog.warn('validatePdf: PDFLib not available; skipping parse check');
   }
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  const sha256 = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  return { pageCount, sha256, size: bytes.length };
 }
 
 // ---------- PDF capture helpers ----------
-const expecting = new Map(); // tabId -> {until,iorder,navigation,tabIds:Set,resolve}
+// A label is captured when a response in the job's tab (or a tab it spawned)
+// really is a PDF: webRequest sees a PDF Content-Type on a navigation, or the
+// background fetches a URL it was tipped off about (page fetch/XHR hook,
+// window.open, a navigation that looks like a label) and gets a PDF back.
+// Nothing the page says is taken on trust, and a URL that merely looks like a
+// label is never captured as is. Keyed by tab, so concurrent jobs never see
+// each other's PDFs.
+const expecting = new Map(); // tabId -> {until,iorder,tabIds:Set,checked:Set,resolve}
 
 function looksLikePdf(url = ''){
   const u = String(url).toLowerCase();
   return u.endsWith('.pdf') || u.includes('pdf=') || u.includes('/pdf/') || u.includes('label');
 }
 
-function handlePdfCandidate(tabId, url, origin = ''){
+// A label URL naming a different iorder than the job expects is never taken,
+// whichever tab it shows up in.
+function iorderMismatch(info, url){
+  const m = /[?&]iorder=(\d+)/i.exec(url || '');
+  return !!(info && info.iorder && m && m[1] !== String(info.iorder));
+}
+
+function isPdfResponse(headers = []){
+  const header = name => headers.find(h => h.name.toLowerCase() === name)?.value || '';
+  return /application\/(x-)?pdf/i.test(header('content-type'))
+    || /filename\*?=[^;]*\.pdf/i.test(header('content-disposition'));
+}
+
+// Resolve the job waiting on `tabId` with a verified PDF response.
+function capturePdf(tabId, url, method, bytes = null){
   const info = expecting.get(tabId);
-  if (info) info.navigation = true;
-  if (!url) return;
-  if (looksLikePdf(url)) {
-    // Some endpoints first open a placeholder URL like
-    // `shippingLabelDemo.cfm?batchNum=` and then redirect to
-    // the final URL containing the generated batch number.
-    // Skip resolving in this case so that later navigation events
-    // can capture the final URL with the batch number included.
-    if (/[?&]batchnum=$/i.test(url)) return;
-    labelLog.debug(`PDF captured via: ${origin}`, { tabId, iorder: info?.iorder || null, url });
-    resolvePdfForTab(tabId, url);
+  if (!info || !url) return;
+  if (iorderMismatch(info, url)) {
+    labelLog.warn('PDF for another order ignored', { tabId, iorder: info.iorder, url, method });
+    return;
   }
+  labelLog.debug(`PDF captured via: ${method}`, { tabId, iorder: info.iorder || null, url });
+  for (const id of info.tabIds) expecting.delete(id);
+  try { info.resolve({ url, method, bytes }); } catch {}
 }
 
+// Navigation events and page hints only tell us a URL, not what it served.
+// Fetch it ourselves and capture it only if the response is a PDF (by
+// Content-Type or by its leading `%PDF-` bytes).
+async function verifyPdfCandidate(tabId, url, origin = ''){
+  const info = expecting.get(tabId);
+  if (!info || !url || iorderMismatch(info, url)) return;
+  // Some endpoints first open a placeholder URL like
+  // `shippingLabelDemo.cfm?batchNum=` and then redirect to
+  // the final URL containing the generated batch number.
+  if (new RegExp(siteProfile.label.placeholderUrl, 'i').test(url)) return;
+  if (!/^https?:/i.test(url) || info.checked.has(url)) return;
+  info.checked.add(url);
+  try {
+    const res = await fetch(url, { credentials: 'include' });
+    // Keep the body: processJob reuses it rather than downloading the label a
+    // second time.
+    const bytes = res.ok ? await res.arrayBuffer() : null;
+    const pdf = !!bytes && (isPdfResponse([...res.headers].map(([name, value]) => ({ name, value })))
+      || String.fromCharCode(...new Uint8Array(bytes, 0, Math.min(5, bytes.byteLength))) === '%PDF-');
+    labelLog.debug('PDF candidate checked', { tabId, url, origin, status: res.status, pdf });
+    if (pdf && expecting.get(tabId) === info) capturePdf(tabId, url, `verified-fetch:${origin}`, bytes);
+  } catch (e) {
+    labelLog.debug('PDF candidate fetch failed', { tabId, url, origin, error: String(e) });
+  }
+}
+
+function checkPdfCandidate(tabId, url, origin){
+  verifyPdfCandidate(tabId, url, origin).catch(e => labelLog.warn('verifyPdfCandidate error', String(e)));
+}
+
+chrome.webRequest.onHeadersReceived.addListener(({ tabId, url, statusCode, responseHeaders }) => {
+  if (tabId < 0 || statusCode < 200 || statusCode >= 300) return;
+  if (!expecting.has(tabId) || !isPdfResponse(responseHeaders)) return;
+  capturePdf(tabId, url, 'webRequest');
+}, { urls: ['<all_urls>'], types: ['main_frame', 'sub_frame', 'object', 'xmlhttprequest', 'other'] }, ['responseHeaders']);
+
 chrome.webNavigation.onCreatedNavigationTarget.addListener(({tabId, sourceTabId, url}) => {
   const info = expecting.get(sourceTabId);
   if (!info) return;
-  info.navigation = true;
   expecting.set(tabId, info);
   info.tabIds.add(tabId);
-  if (looksLikePdf(url)) {
-    // Some endpoints first open a placeholder URL like
-    // `shippingLabelDemo.cfm?batchNum=` and then redirect to
-    // the final URL containing the generated batch number.
-    // Skip resolving in this case so that later navigation events
-    // can capture the final URL with the batch number included.
-    if (/[?&]batchnum=$/i.test(url)) return;
-    labelLog.debug('PDF captured via: onCreatedNavigationTarget', { url, iorder: info?.iorder || null });
-    resolvePdfForTab(sourceTabId, url);
-  }
+  if (looksLikePdf(url)) checkPdfCandidate(tabId, url, 'onCreatedNavigationTarget');
 });
 
-// Capture same-tab navigations to PDFs that may not trigger tabs.onUpdated
+// Same-tab navigations to PDFs whose headers webRequest did not flag
 chrome.webNavigation.onCommitted.addListener(({tabId, frameId, url}) => {
   if (frameId !== 0) return; // ignore subframes
-  handlePdfCandidate(tabId, url, 'webNav.onCommitted');
+  if (looksLikePdf(url)) checkPdfCandidate(tabId, url, 'webNav.onCommitted');
 });
 
-chrome.webNavigation.onCompleted.addListener(({tabId, frameId, url}) => {
-  if (frameId !== 0) return; // ignore subframes
-  handlePdfCandidate(tabId, url, 'webNav.onCompleted');
-});
+// Some label flows load the PDF by script instead of navigating to it. This
+// MAIN-world hook reports fetch/XHR responses with a PDF Content-Type to
+// content.js, which forwards them as PDF_CANDIDATE_URL hints. Any script on
+// the page could post the same message, so the background re-fetches the URL
+// before capturing it.
+async function installPdfResponseHook(tabId){
+  await chrome.scripting.executeScript({
+    target: { tabId }, world: 'MAIN',
+    func: () => {
+      if (window.__HH_PDF_HOOK__) return;
+      window.__HH_PDF_HOOK__ = true;
+      const report = (url, method, type) => {
+        if (url && /application\/(x-)?pdf/i.test(type || '')) {
+          window.postMessage({ source: 'hh-pdf-hook', url: String(url), method }, location.origin);
+        }
+      };
+      const origFetch = window.fetch;
+      window.fetch = function(...args){
+        return origFetch.apply(this, args).then(res => {
+          try { report(res.url, 'page.fetch', res.headers.get('content-type')); } catch {}
+          return res;
+        });
+      };
+      const origOpen = XMLHttpRequest.prototype.open;
+      XMLHttpRequest.prototype.open = function(method, url, ...rest){
+        this.addEventListener('load', () => {
+          try { report(this.responseURL || url, 'page.xhr', this.getResponseHeader('content-type')); } catch {}
+        });
+        return origOpen.call(this, method, url, ...rest);
+      };
+    }
+  });
+}
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  if (changeInfo.url) handlePdfCandidate(tabId, changeInfo.url, 'tabs.onUpdated');
-});
+// ---------- Processor lease ----------
+// The in-memory single-flight in runProcessor keeps this worker from running
+// two processors. The lease in LOCK_KEY additionally fences off a processor
+// from a previous service worker instance: it expires unless renewed, and it
+// is only renewed while every running job keeps making progress.
+const WORKER_ID = `sw_${Date.now()}_${Math.random().toString(36).slice(2,7)}`;
+const activeAttempts = new Map(); // jobId -> attempt, for jobs running in this worker
 
-function resolvePdfForTab(tabId, url){
-  const info = expecting.get(tabId);
-  if (!info) return;
-  for (const id of info.tabIds) expecting.delete(id);
-  try { info.resolve({ url, navigation: true }); } catch {}
+async function acquireLease(){
+  const now = Date.now();
+  const curr = await get(LOCK_KEY, null);
+  if (curr && curr.owner && curr.owner !== WORKER_ID && curr.expiresAt > now) {
+    queueLog.trace('lease held', { owner: curr.owner, expiresInMs: curr.expiresAt - now });
+    return false;
+  }
+  await set(LOCK_KEY, { owner: WORKER_ID, expiresAt: now + LEASE_MS });
+  const check = await get(LOCK_KEY, null);
+  return !!check && check.owner === WORKER_ID;
 }
 
-// ---------- Simple storage-backed lock ----------
-async function withLock(fn){
+async function renewLease(){
   const now = Date.now();
-  const curr = await get(LOCK_KEY, { locked:false, ts:0 });
-  // 15s stale window: prevents stuck locks from blocking forever
-  if (curr.locked && (now - curr.ts) < 15000) {
-    queueLog.trace('lock busy');
+  const stalled = [...activeAttempts.values()].find(a => now - a.progressAt > JOB_STALL_MS);
+  if (stalled) {
+    queueLog.warn('job made no progress; lease not renewed', { jobId: stalled.jobId, step: stalled.step || null });
     return;
   }
-  queueLog.trace('lock acquiring');
-  await set(LOCK_KEY, { locked:true, ts:now });
-  queueLog.trace('lock acquired');
+  await set(LOCK_KEY, { owner: WORKER_ID, expiresAt: Date.now() + LEASE_MS });
+  queueLog.trace('lease renewed');
+}
+
+async function releaseLease(){
+  const curr = await get(LOCK_KEY, null);
+  if (curr && curr.owner === WORKER_ID) await set(LOCK_KEY, null);
+  queueLog.trace('lease released');
+}
+
+async function withLease(fn){
+  if (!(await acquireLease())) return;
+  queueLog.trace('lease acquired', { owner: WORKER_ID });
+  const timer = setInterval(() => {
+    renewLease().catch(e => log.error('renewLease error', String(e)));
+  }, LEASE_RENEW_MS);
   try { await fn(); }
-  catch (e) { log.error('withLock fn error', String(e)); }
+  catch (e) { log.error('processor error', String(e)); }
   finally {
-    await set(LOCK_KEY, { locked:false, ts:Date.now() });
-    queueLog.trace('lock released');
+    clearInterval(timer);
+    await releaseLease();
   }
 }
 
@@ -283,44 +715,180 @@ async function withLock(fn){
 // alive until the async work completes.
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg?.type === 'ENQUEUE_SHIP_JOB') {
-    enqueueJob(msg.job)
-      .then(() => sendResponse({ ok: true }))
+    enqueueJob({ ...msg.job, sourceTabId: sender?.tab?.id ?? null })
+      .then(result => sendResponse({ ok: true, ...result }))
       .catch(e => {
         log.error('enqueueJob error', String(e), msg.job);
         sendResponse({ ok: false, error: String(e) });
       });
     return true;
   }
+  if (msg?.type === 'RETRY_JOB') {
+    retryJob(msg.jobId)
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => {
+        log.error('retryJob error', String(e), msg.jobId);
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'RETRY_FAILED_JOBS') {
+    retryFailedJobs()
+      .then(count => sendResponse({ ok: true, count }))
+      .catch(e => {
+        log.error('retryFailedJobs error', String(e));
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'RUN_QUEUE') {
+    runQueue()
+      .then(count => sendResponse({ ok: true, count }))
+      .catch(e => {
+        log.error('runQueue error', String(e));
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'CANCEL_JOB') {
+    cancelJob(msg.jobId)
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => {
+        log.error('cancelJob error', String(e), msg.jobId);
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'REMOVE_LABEL') {
+    removeLabel(msg.demoOrder)
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => {
+        log.error('removeLabel error', String(e), msg.demoOrder);
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'CLEAR_LABELS') {
+    clearLabels()
+      .then(count => sendResponse({ ok: true, count }))
+      .catch(e => {
+        log.error('clearLabels error', String(e));
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'REORDER_LABELS') {
+    reorderLabels(Array.isArray(msg.order) ? msg.order : [])
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => {
+        log.error('reorderLabels error', String(e));
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
   if (msg?.type === 'PRINT_ALL') {
     printAllMerged()
-      .then(() => sendResponse({ ok: true }))
+      .then(res => sendResponse({ ok: true, ...res }))
       .catch(e => {
         log.error('printAllMerged error', String(e));
         sendResponse({ ok: false, error: String(e) });
       });
     return true;
   }
+  if (msg?.type === 'DOWNLOAD_PDF' || msg?.type === 'DOWNLOAD_ZIP') {
+    const fn = msg.type === 'DOWNLOAD_PDF' ? downloadMergedPdf : downloadLabelsZip;
+    fn()
+      .then(res => sendResponse({ ok: true, ...res }))
+      .catch(e => {
+        log.error(`${msg.type} error`, String(e));
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'CONFIRM_PRINT' || msg?.type === 'RESTORE_PRINT') {
+    const fn = msg.type === 'CONFIRM_PRINT' ? confirmPrint : restorePrint;
+    fn(msg.batchId)
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => {
+        log.error(`${msg.type} error`, String(e), msg.batchId);
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'DIAGNOSE_PAGE') {
+    diagnosePage(msg.tabId)
+      .then(report => sendResponse({ ok: true, ...report }))
+      .catch(e => {
+        log.error('diagnosePage error', String(e), msg.tabId);
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
+  if (msg?.type === 'REPRINT_BATCH') {
+    reprintBatch(msg.batchId, msg.demoOrder)
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => {
+        log.error('reprintBatch error', String(e), msg.batchId);
+        sendResponse({ ok: false, error: String(e) });
+      });
+    return true;
+  }
   if (msg?.type === 'EXPECT_PDF') {
     const tabId = sender?.tab?.id;
     if (tabId) {
       const info = expecting.get(tabId);
       if (info) info.until = Date.now() + 45000;
-      else expecting.set(tabId, { until: Date.now() + 45000, iorder: msg.iorder, navigation: false, tabIds: new Set([tabId]) });
+      else expecting.set(tabId, { until: Date.now() + 45000, iorder: msg.iorder, tabIds: new Set([tabId]), checked: new Set() });
     }
     sendResponse(true);
     return true;
   }
   if (msg?.type === 'PDF_CANDIDATE_URL') {
-    handlePdfCandidate(sender?.tab?.id, msg.url, msg.origin);
+    checkPdfCandidate(sender?.tab?.id, msg.url, msg.origin);
     sendResponse(true);
     return true;
   }
 });
 
+// ---------- Startup resume ----------
+const RESUME_NOTIFICATION_ID = 'hh_resume_queue';
+
+// Apply the startup resume setting to jobs left over from the last session.
+// Jobs that failed for good are not counted; those still need a manual retry.
+async function handleStartupResume(){
+  // Jobs interrupted by the last shutdown count once they are back in retry.
+  await startupRecovery;
+  const mode = await get(STARTUP_RESUME_KEY, DEFAULT_STARTUP_RESUME);
+  const jobs = await get(JOBS_KEY, []);
+  const count = jobs.filter(j => j.status === 'pending' || j.status === 'retry').length;
+  queueLog.trace('startup resume', { mode, count });
+  if (!count || mode === 'off') return;
+  if (mode === 'auto') {
+    await runQueue();
+    return;
+  }
+  chrome.notifications.create(RESUME_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: NOTIF_ICON,
+    title: 'Return labels waiting',
+    message: `${count} queued job${count === 1 ? '' : 's'} from the last session`,
+    buttons: [{ title: 'Run now' }, { title: 'Not now' }],
+    requireInteraction: true
+  }, () => {
+    const err = chrome.runtime.lastError;
+    if (err) queueLog.warn('resume notification failed', err.message);
+  });
+}
+
+chrome.notifications.onButtonClicked.addListener((id, index) => {
+  if (id !== RESUME_NOTIFICATION_ID) return;
+  chrome.notifications.clear(id);
+  if (index === 0) runQueue().catch(e => log.error('runQueue notification error', String(e)));
+});
+
 chrome.runtime.onStartup.addListener(() => {
-  // Startup no longer triggers processing; queued jobs remain idle until a
-  // user action enqueues a job.
   queueLog.trace('onStartup');
+  handleStartupResume().catch(e => log.error('startup resume error', String(e)));
 });
 chrome.runtime.onInstalled.addListener(() => {
   setupMenus();
@@ -330,123 +898,525 @@ chrome.runtime.onInstalled.addListener(() => {
 
 chrome.alarms.create('hh_job_heartbeat', { periodInMinutes: HEARTBEAT_MIN });
 chrome.alarms.onAlarm.addListener(a => {
+  if (a.name === 'hh_job_heartbeat') {
+    recoverOrphanedJobs().catch(e => log.error('recoverOrphanedJobs heartbeat error', String(e)));
+  }
   if (a.name === 'hh_job_heartbeat' && processingEnabled) {
     queueLog.trace('heartbeat');
     runProcessor().catch(e => log.error('runProcessor heartbeat error', String(e)));
   }
 });
 
+// A freshly started worker owns no jobs: anything still marked processing was
+// left behind by a previous instance, and so is any lease it held (MV3 runs a
+// single service worker instance at a time).
+const startupRecovery = (async () => {
+  const lease = await get(LOCK_KEY, null);
+  if (lease && lease.owner && lease.owner !== WORKER_ID) {
+    queueLog.info('clearing lease of previous worker', { owner: lease.owner });
+    await set(LOCK_KEY, null);
+  }
+  await recoverOrphanedJobs();
+})().catch(e => log.error('startup recovery error', String(e)));
+
+// ---------- Page diagnostics ----------
+// Run every selector and site function the extension relies on against a
+// live tab, so a site redesign shows up as a failed check rather than as
+// "O-row not present" job failures. Checks that need UI state the page is not
+// in (shipping modal closed, no order opened) come back as 'skip'.
+async function diagnosePage(tabId){
+  await siteProfileLoad;
+  const profile = siteProfile;
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.url || !tab.url.startsWith(profile.origin)) {
+    throw new Error(`Not a ${profile.origin} page`);
+  }
+  const functions = ['GetOrder', ...SiteProfile.labelFunctions(profile, Object.keys(JOB_KINDS))];
+  const [{ result: checks }] = await chrome.scripting.executeScript({
+    target: { tabId }, world: 'MAIN',
+    func: (p, functions) => {
+      const out = [];
+      const add = (name, status, detail) => out.push({ name, status, detail: detail || '' });
+      const count = (root, sel) => {
+        try { return root ? root.querySelectorAll(sel).length : 0; }
+        catch (e) { return -1; }
+      };
+      const check = (name, root, sel, skipWhy) => {
+        if (!root) { add(name, 'skip', skipWhy); return; }
+        const n = count(root, sel);
+        if (n < 0) add(name, 'fail', `invalid selector ${sel}`);
+        else add(name, n ? 'pass' : 'fail', `${sel} → ${n}`);
+      };
+      const fill = (t, vars) => t.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+
+      const demoBox = [...document.querySelectorAll('h4')]
+        .find(h => (h.textContent || '').trim() === p.demo.title)?.closest(p.demo.box) || null;
+      add('Demo Shears box', demoBox ? 'pass' : 'fail', `h4 "${p.demo.title}" in ${p.demo.box}`);
+
+      check('Orders box', document, p.orders.box);
+      check('Orders tab', document, p.orders.tab);
+      const ordersBox = document.querySelector(p.orders.box);
+      check('Orders accordion', ordersBox, p.orders.accordion, 'orders box missing');
+      const accordion = ordersBox?.querySelector(p.orders.accordion) || null;
+      check('Order rows', accordion, p.orders.row, 'accordion missing');
+      check('Order link (iorder)', document, p.orders.orderLink);
+      check('Order type cell', document, p.orders.orderTypeCell);
+
+      const shipBtn = document.querySelector(p.ship.button);
+      const modal = shipBtn?.closest(p.ship.modal) || null;
+      add('Ship It! button', shipBtn ? 'pass' : 'skip', shipBtn ? p.ship.button : 'open the shipping modal to check');
+      if (shipBtn) add('Ship It! modal', modal ? 'pass' : 'fail', p.ship.modal);
+      check('Modal account link', modal, p.ship.accountLink, 'shipping modal not open');
+      check('Modal order number', modal, p.ship.orderNumber, 'shipping modal not open');
+
+      const link = document.querySelector(p.orders.orderLink);
+      const iorder = /[?&]iorder=(\d+)/i.exec(link?.getAttribute('href') || '')?.[1] || null;
+      const panelSel = iorder ? fill(p.orders.panel, { iorder }) : null;
+      const panel = panelSel ? document.querySelector(panelSel) : null;
+      if (!iorder) add('Order panel', 'skip', 'no order link to take an iorder from');
+      else add('Order panel', panel ? 'pass' : 'skip', panel ? panelSel : `${panelSel} not loaded; open order ${iorder} to check`);
+      check('Order panel loaded', panel, p.orders.panelReady, 'order panel not open');
+      check('Label dropdown toggle', panel, p.label.menuToggle, 'order panel not open');
+      check('Label menu item', panel, p.label.menuItem, 'order panel not open');
+
+      functions.forEach(fn => {
+        const ok = typeof window[fn] === 'function';
+        add(`${fn}()`, ok ? 'pass' : 'fail', ok ? 'defined' : 'not defined on page');
+      });
+      return out;
+    },
+    args: [profile, functions]
+  });
+  const summary = { pass: 0, fail: 0, skip: 0 };
+  checks.forEach(c => { summary[c.status]++; });
+  log.info('page diagnosed', { url: tab.url, ...summary });
+  return { url: tab.url, profileVersion: profile.version, checks, summary };
+}
+
+// ---------- Action badge ----------
+// Label count in green, amber while a job is processing, red "!" when any job
+// has failed for good. Driven by storage changes so every writer (processor,
+// pushLabel, print confirmation, popup Clear) is covered.
+const BADGE_COLORS = { labels: '#2e7d32', processing: '#f9a825', failed: '#c62828' };
+
+async function refreshBadge(){
+  const jobs = await get(JOBS_KEY, []);
+  const labels = await get(LABELS_KEY, []);
+  const failed = jobs.filter(j => j.status === 'failed').length;
+  const processing = jobs.some(j => j.status === 'processing');
+  let text = labels.length ? String(labels.length) : '';
+  let color = BADGE_COLORS.labels;
+  if (failed) {
+    text = '!';
+    color = BADGE_COLORS.failed;
+  } else if (processing) {
+    text = text || '…';
+    color = BADGE_COLORS.processing;
+  }
+  const title = [`${labels.length} label${labels.length === 1 ? '' : 's'} waiting`];
+  if (processing) title.push('processing');
+  if (failed) title.push(`${failed} job${failed === 1 ? '' : 's'} failed`);
+  await chrome.action.setBadgeBackgroundColor({ color });
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setTitle({ title: `Label Queue: ${title.join(', ')}` });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !(JOBS_KEY in changes || LABELS_KEY in changes)) return;
+  refreshBadge().catch(e => log.warn('refreshBadge error', String(e)));
+});
+refreshBadge().catch(e => log.warn('refreshBadge error', String(e)));
+
 // ---------- Processor ----------
-// Process queued jobs. Converted to loop to avoid deep recursion with many jobs.
-// Each iteration processes at most one job and then re-checks the queue.
-async function runProcessor(){
-  await withLock(async () => {
-    while (true) {
-      queueLog.trace('checking queue');
-      let jobs = await get(JOBS_KEY, []);
-      const now = Date.now();
+// Steps of processJob, recorded on each attempt so a failure can be traced to
+// the stage that broke without reproducing it under Full Trace.
+const JOB_STEPS = {
+  ACCOUNT_TAB: 'account_tab',
+  MAP_ORDER: 'map_order',
+  PANEL_CHECK: 'panel_check',
+  PDF_CAPTURE: 'pdf_capture',
+  PDF_FETCH: 'pdf_fetch',
+  PDF_VALIDATE: 'pdf_validate',
+  LABEL_EMAIL: 'label_email'
+};
+const MAX_ATTEMPTS_KEPT = 10;
 
-      // choose next eligible job
-      const idx = jobs.findIndex(j => (j.status === 'pending' || j.status === 'retry') && (j.nextAt || 0) <= now);
-      if (idx === -1) {
-        queueLog.trace('no eligible jobs');
-        break;
-      }
+// Throws once the attempt has been aborted (deadline passed), so a processJob
+// that wakes up late stops at its next step instead of finishing the job.
+function throwIfAborted(attempt){
+  if (attempt.abortReason) throw new Error(attempt.abortReason);
+}
 
-      const job = jobs[idx];
-      jobs[idx].status = 'processing';
-      await set(JOBS_KEY, jobs);
+function enterStep(attempt, step){
+  throwIfAborted(attempt);
+  attempt.step = step;
+  attempt.progressAt = Date.now();
+  if (attempt.onStep) attempt.onStep(step);
+  // Persist the step so an orphan sweep can tell where a dead worker stopped.
+  if (attempt.jobId) {
+    updateJobs(jobs => {
+      const found = jobs.find(j => j.jobId === attempt.jobId);
+      if (found && found.status === 'processing') found.step = step;
+    }).catch(e => queueLog.warn('step persist failed', { jobId: attempt.jobId, error: String(e) }));
+  }
+}
 
-      queueLog.trace('processing job', job);
+// Single-flight entry point: while a run is in progress further calls join it,
+// fill any idle worker slots and request one more pass over the queue instead
+// of starting a processor.
+let processorRun = null;
+let processorRerun = false;
+function runProcessor(){
+  if (processorRun) {
+    processorRerun = true;
+    spawnWorkers();
+    return processorRun;
+  }
+  processorRun = (async () => {
+    try {
+      do {
+        processorRerun = false;
+        await withLease(drainQueue);
+      } while (processorRerun);
+    } finally {
+      processorRun = null;
+    }
+  })();
+  return processorRun;
+}
 
-      try {
-        await processJob(job);
+// Count a failed attempt against `job` and schedule a retry or mark it failed.
+// Must be called inside updateJobs.
+function recordJobFailure(job, attempt, reason){
+  const tries = (job.tries ?? 0) + 1;
+  const attempts = Array.isArray(job.attempts) ? job.attempts : [];
+  attempts.push({
+    startedAt: attempt.startedAt,
+    durationMs: Date.now() - attempt.startedAt,
+    step: attempt.step,
+    error: reason
+  });
+  job.attempts = attempts.slice(-MAX_ATTEMPTS_KEPT);
+  job.lastError = reason;
+  job.lastStep = attempt.step;
+  job.tries = tries;
+  delete job.owner;
+  delete job.processingAt;
+  delete job.tabId;
+  delete job.step;
+  if (tries >= MAX_TRIES) {
+    job.status = 'failed';
+    log.error('Job permanently failed', { jobId: job.jobId, tries, reason });
+  } else {
+    const backoff = Math.min(30000, 1000 * Math.pow(2, tries)); // 2s,4s,8s...
+    job.status = 'retry';
+    job.nextAt = Date.now() + backoff;
+    log.warn('Job scheduled for retry', { jobId: job.jobId, tries, backoffMs: backoff, reason });
+  }
+}
 
-        // success -> remove
-        jobs = await get(JOBS_KEY, []);
-        const pos = jobs.findIndex(j => j.jobId === job.jobId);
-        if (pos > -1) { jobs.splice(pos, 1); await set(JOBS_KEY, jobs); }
-        queueLog.trace('job completed', { jobId: job.jobId });
+// Emailed labels leave nothing in the label queue, so keep a short record of
+// them for the popup. Workers can finish email jobs concurrently, so the
+// read-modify-write is serialized like updateJobs.
+const sentEmailsMutex = createMutex();
+function recordSentEmail(job, iorder){
+  return sentEmailsMutex.run(async () => {
+    const sent = await get(SENT_EMAILS_KEY, []);
+    sent.unshift({
+      jobId: job.jobId, iorder, orderNumber: job.visibleOrder || null,
+      accountUrl: job.accountUrl || null, sentAt: Date.now()
+    });
+    await set(SENT_EMAILS_KEY, sent.slice(0, SENT_EMAILS_KEPT));
+  });
+}
 
-        // notify (optional)
-        try {
-          const opts = {
-            type: 'basic',
-            iconUrl: NOTIF_ICON,
-            title: 'Label queued',
-            message: `Order ${job.visibleOrder || ''} added`
-          };
-          chrome.notifications.create(opts, () => {
-            const err = chrome.runtime.lastError;
-            if (err) queueLog.warn('notification failed', err.message);
-          });
-        } catch (e) {
-          queueLog.warn('notification exception', String(e));
-        }
-      } catch (err) {
-        const reason = (err && err.message) ? err.message : String(err);
-        log.warn('Job failed', { jobId: job.jobId, reason });
+// A job is orphaned when it is marked processing but this worker is not the
+// one running it, e.g. Chrome killed the service worker mid-job. Close its
+// account tab and count the interrupted attempt. A job this worker is still
+// running but that made no progress for JOB_STALL_MS is aborted instead; its
+// worker records the failure and frees the slot.
+async function recoverOrphanedJobs(){
+  const orphans = await updateJobs(jobs => {
+    const { abandoned: found, stalled } = findOrphanedJobs(jobs, {
+      workerId: WORKER_ID, attempts: activeAttempts, now: Date.now(), stallMs: JOB_STALL_MS
+    });
+    stalled.forEach(j => {
+      const attempt = activeAttempts.get(j.jobId);
+      abortAttempt(attempt, `Stalled: no progress for ${Math.round(JOB_STALL_MS / 1000)}s (step ${attempt.step || 'start'})`);
+    });
+    const tabs = found.map(j => j.tabId).filter(Boolean);
+    found.forEach(j => {
+      log.warn('recovering orphaned job', { jobId: j.jobId, owner: j.owner || null, processingAt: j.processingAt || null });
+      const reason = 'Interrupted: service worker stopped while the job was processing';
+      recordJobFailure(j, { startedAt: j.processingAt || Date.now(), step: j.step || null }, reason);
+      reportJob(j, j.status, { reason });
+    });
+    return { count: found.length + stalled.length, tabs };
+  });
+  for (const tabId of orphans.tabs) {
+    try { await chrome.tabs.remove(tabId); } catch {}
+  }
+  if (orphans.count) queueLog.info('orphaned jobs recovered', orphans);
+  return orphans.count;
+}
 
-        // schedule retry or mark failed
-        jobs = await get(JOBS_KEY, []);
+async function getConcurrency(){
+  const n = parseInt(await get(CONCURRENCY_KEY, DEFAULT_CONCURRENCY), 10);
+  return Math.min(MAX_CONCURRENCY, Math.max(1, n || DEFAULT_CONCURRENCY));
+}
+
+// Run up to the configured number of workers until no job is eligible. Each
+// worker claims its next job inside updateJobs, so no job is picked twice. A
+// worker exits when it finds nothing to do; spawnWorkers refills the free
+// slots when a job arrives mid-drain, so one-at-a-time Ship It! clicks still
+// run side by side.
+let drain = null; // { concurrency, workers: Map<slot, Promise> } while drainQueue runs
+
+function spawnWorkers(){
+  const d = drain;
+  if (!d) return;
+  for (let slot = 0; slot < d.concurrency; slot++) {
+    if (d.workers.has(slot)) continue;
+    const worker = runWorker(slot)
+      .catch(e => log.error('worker error', { slot, error: String(e) }))
+      .finally(() => d.workers.delete(slot));
+    d.workers.set(slot, worker);
+  }
+}
+
+async function drainQueue(){
+  const concurrency = await getConcurrency();
+  queueLog.trace('draining queue', { concurrency });
+  const d = drain = { concurrency, workers: new Map() };
+  spawnWorkers();
+  try {
+    while (d.workers.size) await Promise.race(d.workers.values());
+  } finally {
+    drain = null;
+  }
+  await closeWorkerTabs();
+  queueLog.trace('processor idle');
+}
+
+async function runWorker(slot){
+  while (true) {
+    queueLog.trace('checking queue', { slot });
+    // choose next eligible job
+    const claimed = await updateJobs(jobs => {
+      const now = Date.now();
+      const next = jobs.find(j => (j.status === 'pending' || j.status === 'retry') && (j.nextAt || 0) <= now);
+      if (!next) return null;
+      Object.assign(next, { status: 'processing', owner: WORKER_ID, processingAt: now });
+      const attempt = { jobId: next.jobId, slot, startedAt: now, progressAt: now, step: null };
+      activeAttempts.set(next.jobId, attempt);
+      return { job: { ...next }, attempt };
+    });
+    if (!claimed) {
+      queueLog.trace('no eligible jobs', { slot });
+      break;
+    }
+
+    const { job, attempt } = claimed;
+    queueLog.trace('processing job', { slot, ...job });
+    attempt.onStep = step => reportJob(job, 'processing', { step });
+    const aborted = new Promise((_, reject) => { attempt.abort = reject; });
+    const deadline = setTimeout(() => {
+      abortAttempt(attempt, `Timed out after ${Math.round(JOB_DEADLINE_MS / 1000)}s (step ${attempt.step || 'start'})`);
+    }, JOB_DEADLINE_MS);
+
+    try {
+      const outcome = await Promise.race([processJob(job, attempt), aborted]);
+
+      // success -> remove
+      await updateJobs(jobs => {
         const pos = jobs.findIndex(j => j.jobId === job.jobId);
-        if (pos > -1) {
-          const tries = (jobs[pos].tries ?? 0) + 1;
-          if (tries >= MAX_TRIES) {
-            jobs[pos].status = 'failed';
-            jobs[pos].tries = tries;
-            log.error('Job permanently failed', { jobId: job.jobId, tries, reason });
-          } else {
-            const backoff = Math.min(30000, 1000 * Math.pow(2, tries)); // 2s,4s,8s...
-            jobs[pos].status = 'retry';
-            jobs[pos].tries = tries;
-            jobs[pos].nextAt = Date.now() + backoff;
-            log.warn('Job scheduled for retry', { jobId: job.jobId, tries, backoffMs: backoff, reason });
-          }
-          await set(JOBS_KEY, jobs);
-        }
-      }
+        if (pos > -1) jobs.splice(pos, 1);
+      });
+      queueLog.trace('job completed', { jobId: job.jobId, kind: outcome.kind });
+      if (outcome.emailed) await recordSentEmail(job, outcome.iorder);
+      reportJob(job, outcome.emailed ? 'emailed' : 'captured');
 
-      // After processing, check if more work is ready immediately.
-      const more = (await get(JOBS_KEY, [])).some(j =>
-        (j.status === 'pending') || (j.status === 'retry' && (j.nextAt || 0) <= Date.now())
-      );
-      if (!more) {
-        queueLog.trace('processor idle');
-        break;
+      // notify (optional)
+      try {
+        const opts = {
+          type: 'basic',
+          iconUrl: NOTIF_ICON,
+          title: outcome.emailed ? 'Return label emailed' : 'Label queued',
+          message: `Order ${job.visibleOrder || ''} ${outcome.emailed ? 'emailed' : 'added'}`
+        };
+        chrome.notifications.create(opts, () => {
+          const err = chrome.runtime.lastError;
+          if (err) queueLog.warn('notification failed', err.message);
+        });
+      } catch (e) {
+        queueLog.warn('notification exception', String(e));
       }
-      // Loop continues to process next job
+    } catch (err) {
+      const reason = (err && err.message) ? err.message : String(err);
+      log.warn('Job failed', { jobId: job.jobId, step: attempt.step, reason });
+
+      // schedule retry or mark failed
+      const status = await updateJobs(jobs => {
+        const found = jobs.find(j => j.jobId === job.jobId);
+        if (!found) return null;
+        recordJobFailure(found, attempt, reason);
+        return found.status;
+      });
+      if (status) reportJob(job, status, { reason, step: attempt.step });
+    } finally {
+      clearTimeout(deadline);
+      activeAttempts.delete(job.jobId);
     }
-  });
+  }
+}
+
+// Give up on a running attempt: its worker stops waiting on processJob and
+// records `reason` as the failure, and the job's tab is closed (a pooled tab
+// is dropped, its state is unknown). A processJob that later resumes throws
+// at its next step.
+function abortAttempt(attempt, reason){
+  if (attempt.abortReason) return;
+  attempt.abortReason = reason;
+  queueLog.warn('aborting attempt', { jobId: attempt.jobId, step: attempt.step || null, reason });
+  if (attempt.abort) attempt.abort(new Error(reason));
+  const tab = attempt.tab;
+  if (tab && tab.pooled) dropWorkerTab(attempt.slot).catch(() => {});
+  else if (tab) chrome.tabs.remove(tab.tabId).catch(() => {});
+}
+
+// ---------- Worker tabs ----------
+// With reuseWorkerTab on, each worker slot keeps a pinned background tab that
+// is navigated from job to job. Before a pooled tab is reused it must load the
+// account page within TAB_LOAD_MS, answer a script probe within TAB_PROBE_MS
+// (a crashed or dialog-blocked renderer does not) and still be signed in;
+// otherwise it is closed and replaced. Pooled tabs close when the queue drains.
+const workerTabs = new Map(); // slot -> tabId
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  for (const [slot, id] of workerTabs) {
+    if (id === tabId) workerTabs.delete(slot);
+  }
+});
+
+function withTimeout(promise, ms, fallback){
+  return Promise.race([promise, new Promise(resolve => setTimeout(() => resolve(fallback), ms))]);
+}
+
+// Resolves to 'ok', 'load_timeout', 'unresponsive' or 'signed_out'.
+async function checkWorkerTab(tabId, loaded){
+  if (!(await loaded.then(() => true, () => false))) return 'load_timeout';
+  const probe = chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => location.href
+  }).then(([{ result }]) => result).catch(() => null);
+  const href = await withTimeout(probe, TAB_PROBE_MS, null);
+  if (!href) return 'unresponsive';
+  if (!href.startsWith(siteProfile.origin) || /log-?in|sign-?in/i.test(new URL(href).pathname)) return 'signed_out';
+  return 'ok';
+}
+
+async function newWorkerTab(url, slot){
+  const { id: tabId } = await chrome.tabs.create({ url, active: false, pinned: true });
+  workerTabs.set(slot, tabId);
+  labelLog.debug('worker tab opened', { slot, tabId });
+  return { tabId, state: await checkWorkerTab(tabId, waitComplete(tabId)) };
+}
+
+async function dropWorkerTab(slot){
+  const tabId = workerTabs.get(slot);
+  workerTabs.delete(slot);
+  try { await chrome.tabs.remove(tabId); } catch {}
+}
+
+async function closeWorkerTabs(){
+  for (const slot of [...workerTabs.keys()]) await dropWorkerTab(slot);
+}
+
+// Open `url` for a job: a fresh background tab, or the slot's pooled worker
+// tab when reuse is enabled. Pass the result to releaseJobTab when done.
+async function openJobTab(url, slot){
+  if (!(await get(REUSE_WORKER_TAB_KEY, false))) {
+    const { id: tabId } = await chrome.tabs.create({ url, active: false });
+    try {
+      await waitComplete(tabId);
+    } catch (e) {
+      chrome.tabs.remove(tabId).catch(() => {});
+      throw e;
+    }
+    return { tabId, pooled: false };
+  }
+  const current = workerTabs.get(slot);
+  if (current != null) {
+    const loaded = waitComplete(current);
+    loaded.catch(() => {}); // settled by checkWorkerTab, or unused if the tab is gone
+    const state = await chrome.tabs.update(current, { url })
+      .then(() => checkWorkerTab(current, loaded), () => 'gone');
+    if (state === 'ok') return { tabId: current, pooled: true };
+    labelLog.warn('worker tab unhealthy; replacing', { slot, tabId: current, state });
+    await dropWorkerTab(slot);
+  }
+  const { tabId, state } = await newWorkerTab(url, slot);
+  if (state === 'ok') return { tabId, pooled: true };
+  await dropWorkerTab(slot);
+  if (state === 'signed_out') throw new Error('Not signed in: account page redirected to login');
+  throw new Error(`Worker tab failed health check (${state})`);
+}
+
+async function releaseJobTab({ tabId, pooled }){
+  if (pooled) return;
+  try { await chrome.tabs.remove(tabId); } catch {}
+  queueLog.trace('account tab closed', { tabId });
 }
 
 // ---------- Per-job work ----------
-async function processJob(job){
-  const accountUrl = job.accountUrl ? (job.accountUrl.startsWith('http') ? job.accountUrl : ORIGIN + job.accountUrl) : null;
+// `attempt.step` is advanced before each stage so the caller can record where
+// a thrown error came from; `progressAt` keeps the processor lease alive.
+async function processJob(job, attempt = {}){
+  enterStep(attempt, JOB_STEPS.ACCOUNT_TAB);
+  await siteProfileLoad;
+  const profile = siteProfile;
+  const accountUrl = job.accountUrl ? (job.accountUrl.startsWith('http') ? job.accountUrl : profile.origin + job.accountUrl) : null;
   if (!accountUrl) {
     // Clear error explains why; used in retry decision
     throw new Error('No accountUrl');
   }
 
   // 1) Open account page in background
-  const { id: tabId } = await chrome.tabs.create({ url: accountUrl, active: false });
-  labelLog.debug('account tab opened', { tabId, accountUrl });
-  await waitComplete(tabId);
+  const tab = await openJobTab(accountUrl, attempt.slot);
+  const { tabId } = tab;
+  attempt.tab = tab;
+  if (attempt.abortReason) {
+    await releaseJobTab(tab);
+    throwIfAborted(attempt);
+  }
+  labelLog.debug('account tab opened', { tabId, pooled: tab.pooled, accountUrl });
+  // Remember the tab so an orphan sweep can close it if this worker dies.
+  await updateJobs(jobs => {
+    const found = jobs.find(j => j.jobId === job.jobId);
+    if (found) found.tabId = tabId;
+  });
 
-  // 2) Find order row (matching visibleOrder if provided) and extract demo order
+  // 2) Find order row (by iorder for manual jobs, else matching visibleOrder
+  // if provided) and extract demo order
+  enterStep(attempt, JOB_STEPS.MAP_ORDER);
   const [{ result: map }] = await chrome.scripting.executeScript({
     target: { tabId }, world: 'MAIN',
-    func: (visibleOrder) => {
+    func: (iorder, visibleOrder, orderLink, orderType) => {
       function getIOrder(href){
         const m = /[?&]iorder=(\d+)/i.exec(href || '');
         return m ? m[1] : null;
       }
       const rows = Array.from(document.querySelectorAll('tr'));
       let cand = null;
-      if (visibleOrder) {
+      if (iorder) {
+        // A manual job names its order; never fall back to another row.
+        cand = rows.find(r => Array.from(r.querySelectorAll(orderLink))
+          .some(a => getIOrder(a.getAttribute('href')) === String(iorder)));
+        if (!cand) return null;
+      } else if (visibleOrder) {
         cand = rows.find(r => {
           const text = r.textContent || '';
-          return text.includes(`#${visibleOrder}`) && r.querySelector('a[href*="my_inventory.cfm"][href*="iorder="]');
+          return text.includes(`#${visibleOrder}`) && r.querySelector(orderLink);
         });
       }
       if (!cand) {
@@ -455,47 +1425,49 @@ async function processJob(job){
           const tds = r.querySelectorAll('td');
           if (!tds.length) return false;
           const first = (tds[0].textContent || '').trim();
-          return first === 'O' && r.querySelector('a[href*="my_inventory.cfm"][href*="iorder="]');
+          return first === orderType && r.querySelector(orderLink);
         });
       }
       if (!cand) return null;
-      const a = cand.querySelector('a[href*="my_inventory.cfm"][href*="iorder="]');
-      const iorder = getIOrder(a?.getAttribute('href'));
+      const a = cand.querySelector(orderLink);
       return {
-        iorder,
+        iorder: iorder ? String(iorder) : getIOrder(a?.getAttribute('href')),
         panelId: cand.id || null,
         onclick: a?.getAttribute('onclick') || null
       };
     },
-    args: [job.visibleOrder || null]
+    args: [job.iorder || null, job.visibleOrder || null, profile.orders.orderLink, profile.guards.orderType]
   });
 
   if (!map || !map.iorder) {
-    try { await chrome.tabs.remove(tabId); } catch {}
-    throw new Error('No demo order found (O-row not present or structure changed)');
+    await releaseJobTab(tab);
+    throw new Error(job.iorder
+      ? `Order ${job.iorder} not found on the account page`
+      : 'No demo order found (O-row not present or structure changed)');
   }
   labelLog.debug('mapped to iorder', { visibleOrder: job.visibleOrder || null, iorder: map.iorder, panelId: map.panelId, onclick: map.onclick });
 
   // 3) Verify the order panel exists and prime guards
+  enterStep(attempt, JOB_STEPS.PANEL_CHECK);
+  const panelSel = SiteProfile.fillSelector(profile.orders.panel, { iorder: map.iorder });
   const [{ result: panelInfo }] = await chrome.scripting.executeScript({
     target: { tabId }, world: 'MAIN',
-    func: (iorder) => {
-      const sel = `#O${iorder}`;
+    func: (sel) => {
       const panel = document.querySelector(sel);
       return { sel, exists: !!panel, innerHTMLLen: panel ? (panel.innerHTML || '').length : 0 };
     },
-    args: [map.iorder]
+    args: [panelSel]
   });
   labelLog.debug('panel check', { iorder: map.iorder, ...panelInfo });
 
   await chrome.scripting.executeScript({
     target: { tabId }, world: 'MAIN',
-    func: (iorder) => {
-      try { window.cTrn = 'O'; } catch {}
-      const cTr = document.querySelector('#cTr');
-      if (cTr) cTr.innerHTML = 'O';
+    func: (iorder, panelSel, orderTypeCell, orderType, inputNames) => {
+      try { window.cTrn = orderType; } catch {}
+      const cTr = document.querySelector(orderTypeCell);
+      if (cTr) cTr.innerHTML = orderType;
       try { window.iOrder = iorder; } catch {}
-      const form = document.querySelector(`#O${iorder} form`);
+      const form = document.querySelector(`${panelSel} form`);
       if (form) {
         const ensure = (n, v) => {
           let el = form.querySelector(`input[name="${n}"]`) || form.querySelector('#' + CSS.escape(n));
@@ -508,61 +1480,118 @@ async function processJob(job){
           }
           el.value = String(v);
         };
-        ['iOrder', 'currentOrder', 'selOrder', 'OrderID', 'orderId', 'order', 'order_id'].forEach(n => ensure(n, iorder));
+        inputNames.forEach(n => ensure(n, iorder));
       }
       return { cTrn: window.cTrn || null, iOrder: window.iOrder || null };
     },
-    args: [map.iorder]
+    args: [map.iorder, panelSel, profile.orders.orderTypeCell, profile.guards.orderType, profile.guards.inputNames]
   }).then(([{ result }]) => {
     labelLog.debug('guards set', { iorder: map.iorder, cTrn: result.cTrn, iOrder: result.iOrder });
   }).catch(() => {});
 
-  // 4) Open label via viewDemoLabel and capture PDF URL
-  const pdfUrl = await openLabelAndCapturePdf(map.iorder, tabId);
-  if (!pdfUrl) {
-    try { await chrome.tabs.remove(tabId); } catch {}
+  const kind = job.kind || 'demo';
+  const action = SiteProfile.labelAction(profile, kind);
+
+  // 4a) Emailed return labels produce no PDF: success is the site's email
+  // action running. Give its request a moment before the tab goes away.
+  if (!JOB_KINDS[kind].pdf) {
+    enterStep(attempt, JOB_STEPS.LABEL_EMAIL);
+    const res = await invokeLabelAction(tabId, map.iorder, action, profile);
+    if (!res.invoked) {
+      await releaseJobTab(tab);
+      throw new Error(res.error || `Label action ${action.fn} not found on the order panel`);
+    }
+    await new Promise(r => setTimeout(r, EMAIL_SETTLE_MS));
+    await releaseJobTab(tab);
+    labelLog.debug('label emailed', { iorder: map.iorder, via: res.via });
+    return { kind, iorder: map.iorder, emailed: true };
+  }
+
+  // 4b) Open the label and capture its PDF URL
+  enterStep(attempt, JOB_STEPS.PDF_CAPTURE);
+  const capture = await openLabelAndCapturePdf(map.iorder, tabId, action, profile);
+  if (!capture) {
+    await releaseJobTab(tab);
     throw new Error('No PDF URL captured (label open produced no PDF)');
   }
-  labelLog.debug('pdf url captured', { iorder: map.iorder, url: pdfUrl });
+  const pdfUrl = capture.url;
+  labelLog.debug('pdf url captured', { iorder: map.iorder, url: pdfUrl, method: capture.method });
 
-  // 4) Fetch PDF content and save to labels queue
-  let pdfData = null;
+  // 5) Fetch PDF content, validate it and save to labels queue. A bad body
+  // (e.g. the login page after a session expiry) fails the job so it retries
+  // instead of breaking Print All later.
+  enterStep(attempt, JOB_STEPS.PDF_FETCH);
+  let buf;
+  let check;
   try {
-    const res = await fetch(pdfUrl, { credentials: 'include' });
-    if (res.ok) {
-      const buf = await res.arrayBuffer();
-      pdfData = arrayBufferToBase64(buf);
+    if (capture.bytes) {
+      buf = capture.bytes;
     } else {
-      labelLog.warn('pdf fetch failed', { iorder: map.iorder, status: res.status });
+      const res = await fetch(pdfUrl, { credentials: 'include' });
+      if (!res.ok) throw new Error(`PDF fetch failed (HTTP ${res.status})`);
+      buf = await res.arrayBuffer();
     }
+    enterStep(attempt, JOB_STEPS.PDF_VALIDATE);
+    check = await validatePdf(buf);
   } catch (e) {
-    labelLog.warn('pdf fetch error', { iorder: map.iorder, error: String(e) });
+    labelLog.warn('pdf fetch/validate failed', { iorder: map.iorder, step: attempt.step, error: String(e) });
+    await releaseJobTab(tab);
+    throw e;
   }
+  labelLog.debug('pdf validated', { iorder: map.iorder, ...check });
 
-  await pushLabel({ demoOrder: map.iorder, orderNumber: job.visibleOrder || null, url: pdfUrl, data: pdfData });
+  throwIfAborted(attempt);
+  await pushLabel({
+    demoOrder: labelKey(map.iorder, kind),
+    iorder: map.iorder,
+    kind,
+    orderNumber: job.visibleOrder || null,
+    accountUrl: job.accountUrl || null,
+    queuedAt: job.createdAt || Date.now(),
+    url: pdfUrl,
+    captureMethod: capture.method,
+    pageCount: check.pageCount,
+    sha256: check.sha256
+  }, buf);
 
-  try { await chrome.tabs.remove(tabId); } catch {}
-  queueLog.trace('account tab closed', { tabId });
+  await releaseJobTab(tab);
+  return { kind, iorder: map.iorder, emailed: false };
 }
 
-function waitComplete(tabId){
-  return new Promise(resolve => {
+// Resolves when the tab finishes loading. Rejects if it is closed first or
+// is still loading after `ms`, so a lost tab cannot hang the job.
+function waitComplete(tabId, ms = TAB_LOAD_MS){
+  return new Promise((resolve, reject) => {
+    function done(err){
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpd);
+      chrome.tabs.onRemoved.removeListener(onRem);
+      if (err) reject(err);
+      else resolve();
+    }
     function onUpd(id, info){
       if (id === tabId && info.status === 'complete'){
-        chrome.tabs.onUpdated.removeListener(onUpd);
         queueLog.trace('tab complete', { tabId });
-        resolve();
+        done();
       }
     }
+    function onRem(id){
+      if (id === tabId) done(new Error('Account tab was closed before it finished loading'));
+    }
+    const timer = setTimeout(() => done(new Error(`Account tab did not finish loading within ${Math.round(ms / 1000)}s`)), ms);
     chrome.tabs.onUpdated.addListener(onUpd);
+    chrome.tabs.onRemoved.addListener(onRem);
   });
 }
 
-async function openLabelAndCapturePdf(iorder, tabId){
-  labelLog.debug('invoking viewDemoLabel', { iorder, tabId });
+// Resolves to { url, method, bytes } for the captured label, or null on
+// timeout. `bytes` is the body when the background already downloaded it to
+// verify the URL, and null for the webRequest path.
+async function openLabelAndCapturePdf(iorder, tabId, action, profile = siteProfile){
+  labelLog.debug('invoking label action', { iorder, tabId, fn: action.fn });
 
   const pdfPromise = new Promise(resolve => {
-    const info = { until: Date.now() + 20000, iorder, navigation: false, tabIds: new Set([tabId]) };
+    const info = { until: Date.now() + 20000, iorder, tabIds: new Set([tabId]), checked: new Set() };
     const timer = setTimeout(() => {
       for (const id of info.tabIds) expecting.delete(id);
       resolve(null);
@@ -573,30 +1602,41 @@ async function openLabelAndCapturePdf(iorder, tabId){
         expecting.delete(id);
         if (id !== tabId) { try { chrome.tabs.remove(id); } catch {} }
       }
-      resolve(res.url || null);
+      resolve(res.url ? res : null);
     };
     expecting.set(tabId, info);
     labelLog.debug('EXPECT_PDF before viewDemoLabel', { iorder, tabId });
   });
 
+  await installPdfResponseHook(tabId)
+    .catch(e => labelLog.warn('PDF response hook not installed', { tabId, error: String(e) }));
+
+  const res = await invokeLabelAction(tabId, iorder, action, profile);
+  if (!res.invoked) labelLog.warn('label action not found on page', { iorder, fn: action.fn });
+
+  return await pdfPromise;
+}
+
+// Open the order's panel and trigger a label action (`action` from
+// SiteProfile.labelAction): the panel menu item when present, else the page
+// function. Resolves to { invoked, via, error? }.
+async function invokeLabelAction(tabId, iorder, action, profile = siteProfile){
   try {
-    await chrome.scripting.executeScript({
+    const [{ result }] = await chrome.scripting.executeScript({
       target: { tabId }, world: 'MAIN',
-      func: (iorder) => {
+      func: (iorder, sel) => {
+        let via = null;
         try {
-          const row = document.querySelector(`.rwOrdr[onclick*="GetOrder(${iorder}"]`) ||
-            [...document.querySelectorAll('.rwOrdr')].find(el => (el.textContent || '').includes('#' + iorder));
+          const labelFn = window[sel.fn];
+          const row = document.querySelector(sel.rowByOrder) ||
+            [...document.querySelectorAll(sel.row)].find(el => (el.textContent || '').includes('#' + iorder));
           row?.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
 
-          const panel = document.getElementById('O' + iorder);
-          const btn = panel?.querySelector('.btn-group .dropdown-toggle');
+          const panel = document.querySelector(sel.panel);
+          const btn = panel?.querySelector(sel.menuToggle);
           btn?.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
 
-          const menuItem = panel?.querySelector(
-            'li[data-demoaction] a[onclick*="viewDemoLabel"], '
-            + 'li[data-demoaction] a[href*="viewDemoLabel"], '
-            + 'a[onclick*="viewDemoLabel"], a[href*="viewDemoLabel"]'
-          );
+          const menuItem = panel?.querySelector(sel.menuItem);
           if (menuItem) {
             let href = (menuItem.getAttribute('href') || '').trim().toLowerCase();
             const hasOnClick = menuItem.hasAttribute('onclick');
@@ -611,122 +1651,505 @@ async function openLabelAndCapturePdf(iorder, tabId){
               }
             }
             menuItem.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
-            if (!hasOnClick && typeof window.viewDemoLabel === 'function') {
+            via = 'menu';
+            if (!hasOnClick && typeof labelFn === 'function') {
               const before = location.href;
-              window.viewDemoLabel();
+              labelFn.call(window);
+              via = 'menu+function';
               const after = location.href;
-              if (after !== before && /shippingLabelDemo\.cfm/i.test(after)) {
+              if (after !== before && new RegExp(sel.labelPage, 'i').test(after)) {
                 window.open(after, '_blank', 'noopener');
                 try { history.replaceState(null, '', before); } catch {}
               }
             }
-          } else if (typeof window.viewDemoLabel === 'function') {
-            window.viewDemoLabel();
+          } else if (typeof labelFn === 'function') {
+            labelFn.call(window);
+            via = 'function';
           }
         } catch (e) {
-          console.warn('viewDemoLabel error', e);
+          console.warn(`${sel.fn} error`, e);
+          return { invoked: !!via, via, error: String(e) };
         }
+        return { invoked: !!via, via };
       },
-      args: [iorder]
+      args: [iorder, {
+        row: profile.orders.row,
+        rowByOrder: SiteProfile.fillSelector(profile.orders.rowByOrder, { iorder }),
+        panel: SiteProfile.fillSelector(profile.orders.panel, { iorder }),
+        menuToggle: profile.label.menuToggle,
+        menuItem: action.menuItem,
+        fn: action.fn,
+        labelPage: profile.label.labelPage
+      }]
     });
+    return result || { invoked: false };
   } catch (e) {
-    labelLog.warn('viewDemoLabel executeScript failed', { iorder, error: String(e) });
+    labelLog.warn('label action executeScript failed', { iorder, fn: action.fn, error: String(e) });
+    return { invoked: false, error: String(e) };
   }
 
-  return await pdfPromise;
 }
 
 // ---------- Print All: fetch, merge, print once ----------
-async function printAllMerged(){
-  log.info('printAll: starting');
-  const queue = await get(LABELS_KEY, []);
-  if (!queue.length) {
-    log.warn('printAll: no labels queued');
-    return;
-  }
-
-  // Fetch all PDFs; collect failures for visibility
-  const pdfBuffers = [];
+// Resolve every queued label to its PDF bytes; labels whose bytes cannot be
+// obtained are reported in `failures` rather than aborting the batch.
+async function collectLabelPdfs(queue){
+  const entries = [];
   const failures = [];
   for (const item of queue) {
     try {
-      if (item.data) {
-        pdfBuffers.push(base64ToArrayBuffer(item.data));
+      const stored = await LabelStore.getLabel(item.demoOrder)
+        .catch(e => { log.warn('LabelStore read failed', { demoOrder: item.demoOrder, error: String(e) }); return null; });
+      if (stored) {
+        entries.push({ item, buffer: stored, source: 'stored' });
+      } else if (item.data) {
+        // Not yet migrated to LabelStore
+        entries.push({ item, buffer: base64ToArrayBuffer(item.data), source: 'stored' });
       } else {
         const res = await fetch(item.url, { credentials: 'include' });
         if (!res.ok) {
-          failures.push({ demoOrder: item.demoOrder, status: res.status });
+          failures.push({ demoOrder: item.demoOrder, orderNumber: item.orderNumber || null, reason: `Fetch failed (HTTP ${res.status})` });
           continue;
         }
-        pdfBuffers.push(await res.arrayBuffer());
+        entries.push({ item, buffer: await res.arrayBuffer(), source: 'fetched' });
       }
     } catch (e) {
-      failures.push({ demoOrder: item.demoOrder, err: String(e) });
+      failures.push({ demoOrder: item.demoOrder, orderNumber: item.orderNumber || null, reason: `Fetch error: ${e}` });
     }
   }
-  if (!pdfBuffers.length) {
-    log.error('printAll: no PDFs fetched; aborting', { failures });
+  if (failures.length) log.warn('labels: some PDFs failed to fetch', failures);
+  return { entries, failures };
+}
+
+async function getPrintLayout(){
+  return { ...DEFAULT_PRINT_LAYOUT, ...(await get(PRINT_LAYOUT_KEY, {})) };
+}
+
+function accountIdFromUrl(url){
+  const m = /[?&]iP=(\d+)/i.exec(url || '');
+  return m ? m[1] : null;
+}
+
+// Fixed ASCII format: locale strings can contain characters (e.g. narrow
+// no-break spaces) that the standard PDF fonts cannot encode.
+function fmtStampTime(ts){
+  const d = new Date(ts);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function stampText(item){
+  const parts = [];
+  if (item.orderNumber) parts.push(`#${item.orderNumber}`);
+  parts.push(`demo ${item.demoOrder}`);
+  const acct = accountIdFromUrl(item.accountUrl);
+  if (acct) parts.push(`acct ${acct}`);
+  if (item.queuedAt) parts.push(`queued ${fmtStampTime(item.queuedAt)}`);
+  return parts.join(' · ');
+}
+
+const STAMP_TEXT_PT = 7;
+const STAMP_BAND_PT = 12;
+const STAMP_BARCODE_PT = 18;
+
+// Draw the order metadata band (and optional barcode) inside `band`.
+function drawStamp(page, band, item, font, withBarcode){
+  const { rgb } = PDFLib;
+  page.drawText(fitText(stampText(item), font, STAMP_TEXT_PT, band.width - 4), {
+    x: band.x + 2,
+    y: band.y + band.height - STAMP_TEXT_PT - 2,
+    size: STAMP_TEXT_PT,
+    font,
+    color: rgb(0, 0, 0)
+  });
+  if (!withBarcode || !item.orderNumber) return;
+  let widths;
+  try { widths = code128Widths(String(item.orderNumber)); }
+  catch (e) { labelLog.warn('barcode encode failed', { orderNumber: item.orderNumber, error: String(e) }); return; }
+  const fit = LabelLayout.barcodeFit(widths.reduce((a, b) => a + b, 0), band.width);
+  if (!fit) {
+    labelLog.warn('barcode too wide for the label; not drawn', { orderNumber: item.orderNumber, width: band.width });
     return;
   }
-  if (failures.length) log.warn('printAll: some PDFs failed to fetch', failures);
+  const unit = fit.module;
+  let x = band.x + fit.quiet;
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) {
+      page.drawRectangle({ x, y: band.y + 1, width: w * unit, height: STAMP_BARCODE_PT - 2, color: rgb(0, 0, 0) });
+    }
+    x += w * unit;
+  });
+}
 
-  if (!PDFLib || !PDFLib.PDFDocument) {
-    log.error('printAll: PDFLib not available; cannot merge');
-    return;
+function fitText(text, font, size, maxWidth){
+  let out = text;
+  while (out.length > 4 && font.widthOfTextAtSize(out, size) > maxWidth) out = out.slice(0, -2) + '…';
+  return out;
+}
+
+// Manifest page(s) listing every label in the batch and the labels that were
+// skipped, so whoever collects the print knows what is missing.
+function addCoverSheet(doc, entries, failures, pageSize, font){
+  const { rgb } = PDFLib;
+  const [width, height] = pageSize;
+  const small = width < 400;
+  const size = small ? 6 : 9;
+  const lineH = size + 3;
+  const pad = small ? 12 : 36;
+  const lines = [
+    { text: `Return label batch · ${fmtStampTime(Date.now())} · ${entries.length} labels`
+      + (failures.length ? ` · ${failures.length} skipped` : ''), size: size + 2 },
+    { text: '' }
+  ];
+  entries.forEach(({ item, source }, i) => {
+    lines.push({ text: `${i + 1}. ` + [
+      item.orderNumber ? `#${item.orderNumber}` : '#?',
+      `demo ${item.demoOrder}`,
+      item.accountUrl || 'no account url',
+      item.queuedAt ? `queued ${fmtStampTime(item.queuedAt)}` : null,
+      source === 'stored' ? 'stored PDF' : 'fresh fetch'
+    ].filter(Boolean).join(' · ') });
+  });
+  if (failures.length) {
+    lines.push({ text: '' }, { text: 'Skipped (not in this print):', size: size + 1 });
+    failures.forEach(f => {
+      lines.push({ text: `- ${f.orderNumber ? `#${f.orderNumber} · ` : ''}demo ${f.demoOrder} · `
+        + (f.reason || 'unknown error') });
+    });
   }
 
-  try {
-    const { PDFDocument } = PDFLib;
-    const merged = await PDFDocument.create();
-    for (const b of pdfBuffers) {
-      const doc = await PDFDocument.load(b);
-      const pages = await merged.copyPages(doc, doc.getPageIndices());
-      pages.forEach(p => merged.addPage(p));
+  let page = null;
+  let y = 0;
+  lines.forEach(line => {
+    if (!page || y < pad) {
+      page = doc.addPage([width, height]);
+      y = height - pad;
     }
-    const out = await merged.save();
-    const blobUrl = URL.createObjectURL(new Blob([out], { type: 'application/pdf' }));
-
-    const { id: tabId } = await chrome.tabs.create({ url: 'about:blank', active: false });
-    log.info('printAll: temp tab created', { tabId });
-
-    // Wait for the blank tab to finish loading before injecting the print script.
-    await new Promise(resolve => {
-      const listener = (id, info) => {
-        if (id === tabId && info.status === 'complete') {
-          chrome.tabs.onUpdated.removeListener(listener);
-          resolve();
-        }
-      };
-      chrome.tabs.onUpdated.addListener(listener);
-    });
+    const lineSize = line.size || size;
+    if (line.text) {
+      page.drawText(fitText(line.text, font, lineSize, width - pad * 2), {
+        x: pad, y: y - lineSize, size: lineSize, font, color: rgb(0, 0, 0)
+      });
+    }
+    y -= lineSize + 3;
+  });
+}
 
-    await chrome.scripting.executeScript({
-      target: { tabId }, world: 'MAIN',
-      func: (url) => {
-        try {
-          document.body.style.margin = '0';
-          const iframe = document.createElement('iframe');
-          iframe.style.width = '100vw';
-          iframe.style.height = '100vh';
-          iframe.style.border = '0';
-          iframe.src = url;
-          document.body.appendChild(iframe);
-          iframe.onload = () => {
-            iframe.contentWindow.focus();
-            iframe.contentWindow.print();
-          };
-        } catch {}
-      },
-      args: [blobUrl]
+// Merge label PDFs into one document. In 'native' mode source pages are copied
+// one-to-one; N-up modes embed each page and place it onto Letter/A4 sheets.
+// When stamping, native pages are also embedded so the label can be shrunk
+// above the metadata band instead of being drawn over.
+// Each label is loaded and embedded on its own, so a corrupt PDF ends up in
+// `failures` instead of aborting the batch. Resolves with the document bytes,
+// the entries that made it in and every failure (including those passed in).
+async function mergeLabelPdfs(entries, layout = DEFAULT_PRINT_LAYOUT, failures = []){
+  const { PDFDocument, StandardFonts, rgb } = PDFLib;
+  const merged = await PDFDocument.create();
+  const grid = LabelLayout.GRIDS[layout.mode];
+  const embed = !!(grid || layout.stamp);
+
+  const included = [];
+  const skipped = [...failures];
+  const loaded = [];
+  for (const entry of entries) {
+    try {
+      const doc = await PDFDocument.load(entry.buffer);
+      if (!doc.getPageCount()) throw new Error('PDF has no pages');
+      // Trial run in a throwaway document: a page that cannot be embedded or
+      // copied fails here and never reaches `merged`, whose save() would
+      // otherwise choke on it. Embedding is lazy in pdf-lib, so force it.
+      const scratch = await PDFDocument.create();
+      if (embed) {
+        for (const p of await scratch.embedPages(doc.getPages())) await p.embed();
+      } else {
+        await scratch.copyPages(doc, doc.getPageIndices());
+      }
+      const pages = embed
+        ? await merged.embedPages(doc.getPages())
+        : await merged.copyPages(doc, doc.getPageIndices());
+      loaded.push({ item: entry.item, pages });
+      included.push(entry);
+    } catch (e) {
+      const reason = `Corrupt PDF: ${e && e.message ? e.message : e}`;
+      labelLog.warn('label skipped from merge', { demoOrder: entry.item.demoOrder, reason });
+      skipped.push({ demoOrder: entry.item.demoOrder, orderNumber: entry.item.orderNumber || null, reason });
+    }
+  }
+
+  if (layout.coverSheet) {
+    const coverFont = await merged.embedFont(StandardFonts.Helvetica);
+    // Thermal (native) runs get a 4x6 manifest so it feeds like a label.
+    const coverSize = grid ? LabelLayout.sheetSize(layout.paper, false) : [288, 432];
+    addCoverSheet(merged, included, skipped, coverSize, coverFont);
+  }
+
+  if (!embed) {
+    loaded.forEach(({ pages }) => pages.forEach(p => merged.addPage(p)));
+    return { bytes: await merged.save(), entries: included, failures: skipped };
+  }
+
+  const font = layout.stamp ? await merged.embedFont(StandardFonts.Helvetica) : null;
+  const bandHeight = layout.stamp
+    ? STAMP_BAND_PT + (layout.stampBarcode ? STAMP_BARCODE_PT : 0)
+    : 0;
+
+  let sheetW, sheetH, cells, margin = 0;
+  if (grid) {
+    [sheetW, sheetH] = LabelLayout.sheetSize(layout.paper, grid.landscape);
+    margin = Math.max(0, Number(layout.marginIn) || 0) * 72;
+    cells = LabelLayout.gridCells(sheetW, sheetH, grid, margin);
+  }
+  const placed = [];
+  loaded.forEach(({ item, pages }) => pages.forEach(page => placed.push({ page, item })));
+  let sheet = null;
+  placed.forEach(({ page, item }, i) => {
+    let cell;
+    if (grid) {
+      const slot = i % cells.length;
+      if (slot === 0) sheet = merged.addPage([sheetW, sheetH]);
+      cell = cells[slot];
+    } else {
+      sheet = merged.addPage([page.width, page.height]);
+      cell = { x: 0, y: 0, width: page.width, height: page.height };
+    }
+    const labelCell = { ...cell, y: cell.y + bandHeight, height: cell.height - bandHeight };
+    const rect = LabelLayout.fitRect(page.width, page.height, labelCell);
+    sheet.drawPage(page, rect);
+    if (font) {
+      drawStamp(sheet, { x: rect.x, y: cell.y, width: rect.width, height: bandHeight }, item, font, layout.stampBarcode);
+    }
+    if (grid && layout.cutMarks) {
+      const gap = Math.min(2, margin / 4);
+      const length = Math.min(12, Math.max(0, margin - gap));
+      // The stamp band is part of what gets cut out.
+      const frame = font
+        ? { x: rect.x, y: cell.y, width: rect.width, height: rect.y + rect.height - cell.y }
+        : rect;
+      if (length > 0) {
+        LabelLayout.cutMarks(frame, length, gap).forEach(([x1, y1, x2, y2]) => {
+          sheet.drawLine({ start: { x: x1, y: y1 }, end: { x: x2, y: y2 }, thickness: 0.5, color: rgb(0, 0, 0) });
+        });
+      }
+    }
+  });
+  return { bytes: await merged.save(), entries: included, failures: skipped };
+}
+
+// Record (or clear) per-label merge/fetch errors on the queue so the popup can
+// show which labels were left out of the last print or download.
+async function flagLabelErrors(failures){
+  const bad = new Map(failures.map(f => [f.demoOrder, f.reason]));
+  await updateLabels(labels => {
+    labels.forEach(x => {
+      const reason = bad.get(x.demoOrder) || null;
+      if ((x.printError || null) === reason) return;
+      if (reason) x.printError = reason;
+      else delete x.printError;
     });
+  });
+}
 
-    // optional: clear queue & close the temp tab after printing
-    setTimeout(async () => {
-      log.info('printAll: clearing queue and closing print tab', { tabId });
-      await set(LABELS_KEY, []);
-      try { await chrome.tabs.remove(tabId); } catch {}
-    }, 4000);
-  } catch (e) {
-    log.error('printAll merge/print error', String(e));
+// Fetch and merge the whole queue with the stored layout. Throws when there is
+// nothing printable at all.
+async function buildMergedBatch(){
+  const queue = await get(LABELS_KEY, []);
+  if (!queue.length) throw new Error('No labels queued');
+
+  // Fetch all PDFs; collect failures for visibility
+  const fetched = await collectLabelPdfs(queue);
+  if (!fetched.entries.length) {
+    await flagLabelErrors(fetched.failures);
+    throw new Error('No label PDFs could be fetched');
   }
+  if (!self.PDFLib || !PDFLib.PDFDocument) throw new Error('PDFLib not available; cannot merge');
+
+  const layout = await getPrintLayout();
+  log.debug('merge: layout', layout);
+  const result = await mergeLabelPdfs(fetched.entries, layout, fetched.failures);
+  await flagLabelErrors(result.failures);
+  if (!result.entries.length) throw new Error('Every queued label PDF is unreadable');
+  if (result.failures.length) log.warn('merge: labels skipped', result.failures);
+  return result;
+}
+
+async function printAllMerged(){
+  log.info('printAll: starting');
+  const { bytes: out, entries, failures } = await buildMergedBatch();
+
+  const batchId = `batch_${Date.now()}_${Math.random().toString(36).slice(2,7)}`;
+  await archiveBatch(batchId, entries, out);
+  const { tabId } = await openPrintTab(out);
+
+  // Keep the labels queued until the user confirms the print in the popup.
+  // `afterprint` cannot stand in for that: it also fires when the print
+  // dialog is cancelled.
+  await set(PENDING_PRINT_KEY, {
+    batchId,
+    tabId,
+    printedAt: Date.now(),
+    demoOrders: entries.map(({ item }) => item.demoOrder)
+  });
+  log.info('printAll: sent to printer', { batchId, printed: entries.length, skipped: failures.length });
+  return { batchId, printed: entries.length, skipped: failures };
+}
+
+// Open a background tab hosting the PDF in an iframe and trigger print().
+// Resolves with the tab id once the print script has been injected.
+async function openPrintTab(bytes){
+  const blobUrl = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+
+  const { id: tabId } = await chrome.tabs.create({ url: 'about:blank', active: false });
+  log.info('print: temp tab created', { tabId });
+
+  // Wait for the blank tab to finish loading before injecting the print script.
+  await new Promise(resolve => {
+    const listener = (id, info) => {
+      if (id === tabId && info.status === 'complete') {
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+
+  await chrome.scripting.executeScript({
+    target: { tabId }, world: 'MAIN',
+    func: (url) => {
+      document.body.style.margin = '0';
+      const iframe = document.createElement('iframe');
+      iframe.style.width = '100vw';
+      iframe.style.height = '100vh';
+      iframe.style.border = '0';
+      iframe.src = url;
+      document.body.appendChild(iframe);
+      iframe.onload = () => {
+        iframe.contentWindow.focus();
+        iframe.contentWindow.print();
+      };
+    },
+    args: [blobUrl]
+  });
+  return { tabId };
+}
+
+// ---------- Print confirmation ----------
+// The print user confirmed: drop the batch's labels from the queue. Labels
+// captured after Print All was pressed are left in place.
+async function confirmPrint(batchId){
+  const pending = await get(PENDING_PRINT_KEY, null);
+  if (!pending || (batchId && pending.batchId !== batchId)) {
+    log.debug('confirmPrint: nothing pending', { batchId });
+    return;
+  }
+  const printed = new Set(pending.demoOrders);
+  await updateLabels(labels => {
+    const kept = labels.filter(x => !printed.has(x.demoOrder));
+    labels.splice(0, labels.length, ...kept);
+  });
+  await LabelStore.deleteLabels([...printed]);
+  await set(PENDING_PRINT_KEY, null);
+  log.info('print confirmed; labels cleared', { batchId: pending.batchId, count: printed.size });
+  try { await chrome.tabs.remove(pending.tabId); } catch {}
+}
+
+// Printing failed: keep the batch's labels queued so they can be printed again.
+async function restorePrint(batchId){
+  const pending = await get(PENDING_PRINT_KEY, null);
+  if (!pending || (batchId && pending.batchId !== batchId)) {
+    log.debug('restorePrint: nothing pending', { batchId });
+    return;
+  }
+  await set(PENDING_PRINT_KEY, null);
+  log.info('print restored; labels kept', { batchId: pending.batchId, count: pending.demoOrders.length });
+  try { await chrome.tabs.remove(pending.tabId); } catch {}
+}
+
+// ---------- Print history ----------
+// Every printed batch is archived with its merged PDF and the individual label
+// bytes so a jammed or lost print can be reprinted without re-shipping orders.
+async function archiveBatch(batchId, entries, mergedBytes){
+  const retention = await get(HISTORY_RETENTION_KEY, DEFAULT_HISTORY_RETENTION);
+  if (!(retention > 0)) {
+    log.debug('history: retention disabled; batch not archived');
+    return null;
+  }
+  const printedAt = Date.now();
+  const batch = {
+    batchId,
+    printedAt,
+    orders: entries.map(({ item }) => ({
+      demoOrder: item.demoOrder,
+      orderNumber: item.orderNumber || null,
+      url: item.url || null,
+      hasData: true
+    }))
+  };
+  const record = { merged: mergedBytes, labels: {} };
+  entries.forEach(({ item, buffer }) => { record.labels[item.demoOrder] = buffer; });
+  await LabelStore.putBatch(batchId, record);
+
+  const expired = await updateHistory(history => {
+    history.unshift(batch);
+    return history.splice(retention).map(b => b.batchId);
+  });
+  if (expired.length) await LabelStore.deleteBatches(expired);
+  log.info('history: batch archived', { batchId: batch.batchId, orders: batch.orders.length, retention });
+  return batch;
+}
+
+// Reprint a whole archived batch, or a single label from it when `demoOrder`
+// is given.
+async function reprintBatch(batchId, demoOrder){
+  const history = await get(HISTORY_KEY, []);
+  const batch = history.find(b => b.batchId === batchId);
+  if (!batch) throw new Error(`Batch not found: ${batchId}`);
+  const record = await LabelStore.getBatch(batchId);
+  if (!record) throw new Error(`PDF data for batch ${batchId} is no longer stored`);
+  let bytes = record.merged;
+  if (demoOrder) {
+    bytes = record.labels[demoOrder];
+    if (!bytes) throw new Error(`Label ${demoOrder} not found in batch ${batchId}`);
+  }
+  log.info('reprint', { batchId, demoOrder: demoOrder || null });
+  // The print tab is left open on purpose: nothing tells us when the print
+  // dialog is done (`afterprint` also fires on cancel), and closing the tab
+  // while the dialog is up cancels the print.
+  const { tabId } = await openPrintTab(bytes);
+  log.debug('reprint: print tab opened', { batchId, tabId });
+}
+
+// ---------- Download: merged PDF or ZIP of individual labels ----------
+function downloadFileName(count, ext){
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `return-labels-${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${count}orders.${ext}`;
+}
+
+async function downloadBytes(bytes, mime, filename){
+  const url = `data:${mime};base64,${arrayBufferToBase64(bytes)}`;
+  const downloadId = await chrome.downloads.download({ url, filename, saveAs: false });
+  log.info('download started', { filename, downloadId });
+  return { downloadId, filename };
+}
+
+// Same merged document Print All produces, saved as a file instead. The queue
+// is left untouched.
+async function downloadMergedPdf(){
+  const { bytes, entries, failures } = await buildMergedBatch();
+  const res = await downloadBytes(bytes, 'application/pdf', downloadFileName(entries.length, 'pdf'));
+  return { ...res, count: entries.length, skipped: failures };
+}
+
+async function downloadLabelsZip(){
+  const queue = await get(LABELS_KEY, []);
+  if (!queue.length) throw new Error('No labels queued');
+  const { entries, failures } = await collectLabelPdfs(queue);
+  if (!entries.length) throw new Error('No PDFs available to download');
+  const zip = createZip(entries.map(({ item, buffer }, i) => ({
+    name: `${String(i + 1).padStart(2, '0')}-demo-${item.demoOrder}`
+      + (item.orderNumber ? `-order-${item.orderNumber}` : '') + '.pdf',
+    data: new Uint8Array(buffer)
+  })));
+  const res = await downloadBytes(zip, 'application/zip', downloadFileName(entries.length, 'zip'));
+  return { ...res, count: entries.length, skipped: failures };
 }
@@ -5,17 +5,36 @@
 const log = createLogger('HH:content');
 const labelLog = createLogger('HH:label');
 
-// ----- Configurable selectors / keywords -----
-// Single location to tweak DOM hooks or text matching for demo returns.
-// These defaults are intentionally broad; adjust per site structure.
-const SEL = {
-  demoBoxH4Text: 'Demo Shears',                // Title text to find the correct .boxed
-  ordersBox: '#orders_notes_snaps',
-  ordersTab: '#orders_tab',
-  accordion: '#accordion',
-  orderRowMatcher: (n) => `#accordion .rwOrdr`, // we'll filter by textContent includes `#${n}`
-  orderPanelByNumber: (n) => `#O${n}`,
-};
+// ----- Site profile -----
+// DOM hooks and text matching come from the stored site profile (see
+// src/siteProfile.ts), editable on the options page. The built-in defaults
+// apply until storage answers, or if the stored copy does not validate.
+const { SITE_PROFILE_KEY, DEFAULT_JOB_KIND_KEY, DEFAULT_JOB_KIND, JOB_KINDS } = CONFIG;
+let PROFILE = SiteProfile.DEFAULT;
+const fillSel = SiteProfile.fillSelector;
+// Kind recorded on Ship It! jobs and preselected on the manual queue buttons
+let DEFAULT_KIND = DEFAULT_JOB_KIND;
+
+function applySiteProfile(stored){
+  try {
+    PROFILE = stored ? SiteProfile.normalize(stored) : SiteProfile.DEFAULT;
+  } catch (e) {
+    PROFILE = SiteProfile.DEFAULT;
+    log.error('stored site profile invalid; using defaults', String(e));
+  }
+}
+function applyDefaultKind(kind){
+  DEFAULT_KIND = JOB_KINDS[kind] ? kind : DEFAULT_JOB_KIND;
+}
+chrome.storage.local.get([SITE_PROFILE_KEY, DEFAULT_JOB_KIND_KEY], obj => {
+  applySiteProfile(obj[SITE_PROFILE_KEY]);
+  applyDefaultKind(obj[DEFAULT_JOB_KIND_KEY]);
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (SITE_PROFILE_KEY in changes) applySiteProfile(changes[SITE_PROFILE_KEY].newValue);
+  if (DEFAULT_JOB_KIND_KEY in changes) applyDefaultKind(changes[DEFAULT_JOB_KIND_KEY].newValue);
+});
 
 // Preserve the native click method so extension code can invoke it safely
 // without modifying global element behavior. Avoid calling `element.click()`
@@ -24,12 +43,12 @@ const _click = HTMLElement.prototype.click;
 
 function findDemoBox(){
   return Array.from(document.querySelectorAll('h4'))
-    .find(h => (h.textContent || '').trim() === SEL.demoBoxH4Text)
-    ?.closest('.boxed') || null;
+    .find(h => (h.textContent || '').trim() === PROFILE.demo.title)
+    ?.closest(PROFILE.demo.box) || null;
 }
 
 function findOrdersBox(){
-  return document.querySelector(SEL.ordersBox);
+  return document.querySelector(PROFILE.orders.box);
 }
 
 function within(node, root) { return !!(root && node && root.contains(node)); }
@@ -145,11 +164,11 @@ setupMessageDebug();
 // openOrderAndClickLabel: open accordion row and trigger label action
 // ---------------------------------------------------------------------------
 async function openOrderAndClickLabel(iorder, visibleOrder) {
-  const ordersRoot = document.querySelector('#orders_notes_snaps');
-  const accordion = ordersRoot?.querySelector('#accordion');
+  const ordersRoot = document.querySelector(PROFILE.orders.box);
+  const accordion = ordersRoot?.querySelector(PROFILE.orders.accordion);
   if (!accordion) throw new Error('Orders accordion not found');
 
-  const rows = [...accordion.querySelectorAll('.rwOrdr')];
+  const rows = [...accordion.querySelectorAll(PROFILE.orders.row)];
   let row = null;
   if (iorder) {
     row = rows.find(r => (r.textContent || '').includes(`#${iorder}`) || r.querySelector(`a[href*="iorder=${iorder}"]`));
@@ -162,7 +181,7 @@ async function openOrderAndClickLabel(iorder, visibleOrder) {
   // attempt to derive actual iorder from link
   let actualIorder = iorder;
   const ctx = { demoBox: findDemoBox(), ordersBox: findOrdersBox() };
-  const link = row.querySelector('a[href*="my_inventory.cfm"][href*="iorder="]');
+  const link = row.querySelector(PROFILE.orders.orderLink);
   if (link) {
     const href = link.getAttribute('href') || '';
     const m = /iorder=(\d+)/i.exec(href);
@@ -192,7 +211,7 @@ async function openOrderAndClickLabel(iorder, visibleOrder) {
   try {
     panel = await waitFor(() => {
       if (String(window.iOrder) !== String(actualIorder)) return false;
-      const p = document.getElementById('O' + actualIorder);
+      const p = document.querySelector(fillSel(PROFILE.orders.panel, { iorder: actualIorder }));
       if (!p) return false;
       if (p.offsetParent === null || getComputedStyle(p).display === 'none') return false;
       return p;
@@ -204,36 +223,19 @@ async function openOrderAndClickLabel(iorder, visibleOrder) {
   labelLog.debug('panel found', { iorder: actualIorder, innerHTMLLen: (panel.innerHTML || '').length });
 
   // Ensure environment expected by viewDemoLabel()
-  try { window.cTrn = 'O'; } catch {}
-  try {
-    const cTr = document.querySelector('#cTr');
-    if (cTr) cTr.innerHTML = 'O';
-    if (window.jQuery && window.$) { try { $('#cTr').html('O'); } catch {} }
-  } catch {}
+  primeOrderType();
 
   try { window.iOrder = actualIorder; } catch {}
 
-  const form = panel.querySelector('form');
-  if (form) {
-    const ensure = (n,v) => { let el=form.querySelector(`input[name="${n}"]`)||form.querySelector('#'+CSS.escape(n));
-      if (!el) { el=document.createElement('input'); el.type='hidden'; el.name=n; el.id=n; form.appendChild(el); }
-      el.value=String(v);
-    };
-    ['iOrder','currentOrder','selOrder','OrderID','orderId','order','order_id'].forEach(n=>ensure(n, actualIorder));
-  }
+  primeGuardInputs(panel, actualIorder);
 
-  const btn = panel.querySelector('.btn-group .dropdown-toggle');
+  const btn = panel.querySelector(PROFILE.label.menuToggle);
   if (btn) {
     try { btn.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window })); }
     catch (e) { labelLog.warn('dropdown click failed', String(e)); }
   }
 
-  const selectors = [
-    '.view-demo-label',
-    'button[data-action="demo-label"]',
-    'a[href*="DemoLabel" i]',
-    'li[data-demoaction] a[onclick*="viewDemoLabel"], li[data-demoaction] a[href*="viewDemoLabel"]'
-  ];
+  const selectors = PROFILE.label.controls;
 
   let ctlInfo;
   try {
@@ -268,17 +270,19 @@ async function openOrderAndClickLabel(iorder, visibleOrder) {
 
   let navigated = false;
   try {
-    await waitFor(() => /shippingLabelDemo\.cfm/i.test(location.href) || /DemoLabel\.cfm/i.test(location.href), 1500, 100);
+    const labelPage = new RegExp(PROFILE.label.labelPage, 'i');
+    await waitFor(() => labelPage.test(location.href), 1500, 100);
     navigated = true;
   } catch {}
 
   if (!navigated) {
     try {
-      if (typeof window.viewDemoLabel === 'function') {
+      const viewLabel = window[PROFILE.label.viewFunction];
+      if (typeof viewLabel === 'function') {
         const before = location.href;
-        window.viewDemoLabel();
+        viewLabel.call(window);
         const after = location.href;
-        if (after !== before && /shippingLabelDemo\.cfm/i.test(after)) {
+        if (after !== before && new RegExp(PROFILE.label.labelPage, 'i').test(after)) {
           window.open(after, '_blank', 'noopener');
           try { history.replaceState(null, '', before); } catch {}
         }
@@ -296,6 +300,29 @@ async function openOrderAndClickLabel(iorder, visibleOrder) {
   labelLog.debug('label action invoked', { iorder: actualIorder, navigated });
 }
 
+// Set the order-type globals/cell viewDemoLabel() checks before it runs.
+function primeOrderType(){
+  const type = PROFILE.guards.orderType;
+  const cell = PROFILE.orders.orderTypeCell;
+  try { window.cTrn = type; } catch {}
+  try {
+    const cTr = document.querySelector(cell);
+    if (cTr) cTr.innerHTML = type;
+    if (window.jQuery && window.$) { try { $(cell).html(type); } catch {} }
+  } catch {}
+}
+
+// Fill (creating if needed) the hidden order inputs in the panel's form.
+function primeGuardInputs(panel, iorder){
+  const form = panel.querySelector('form');
+  if (!form) return;
+  const ensure = (n,v) => { let el=form.querySelector(`input[name="${n}"]`)||form.querySelector('#'+CSS.escape(n));
+    if (!el) { el=document.createElement('input'); el.type='hidden'; el.name=n; el.id=n; form.appendChild(el); }
+    el.value=String(v);
+  };
+  PROFILE.guards.inputNames.forEach(n => ensure(n, iorder));
+}
+
 function waitFor(fn, timeoutMs = 10000, poll = 100) {
   return new Promise((res, rej) => {
     const t0 = Date.now();
@@ -326,6 +353,116 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
   } catch {}
 })();
 
+// ----- On-page job toasts -----
+// A small toast per Ship It! job in the bottom-right corner. The background
+// reports progress with JOB_PROGRESS; a toast fades out a while after its job
+// settles, or on click. After a navigation the toast is recreated from the
+// next progress message.
+const TOAST_HIDE_MS = 8000;
+const TOAST_COLORS = { info: '#1565c0', ok: '#2e7d32', warn: '#ef6c00', error: '#c62828' };
+const TOAST_STEPS = {
+  account_tab: 'opening account',
+  map_order: 'finding order',
+  panel_check: 'checking order panel',
+  pdf_capture: 'opening label',
+  pdf_fetch: 'downloading PDF',
+  pdf_validate: 'checking PDF',
+  label_email: 'emailing label'
+};
+const toasts = new Map(); // jobId -> { el, timer }
+
+function toastHost(){
+  let host = document.getElementById('hh-toasts');
+  if (!host) {
+    host = document.createElement('div');
+    host.id = 'hh-toasts';
+    host.style.cssText = 'position:fixed;right:12px;bottom:12px;z-index:2147483647;display:flex;'
+      + 'flex-direction:column;gap:6px;font:13px system-ui,sans-serif';
+    document.body.appendChild(host);
+  }
+  return host;
+}
+
+function dismissToast(jobId){
+  const t = toasts.get(jobId);
+  if (!t) return;
+  clearTimeout(t.timer);
+  t.el.remove();
+  toasts.delete(jobId);
+}
+
+function showToast(jobId, text, tone = 'info', settled = false){
+  let t = toasts.get(jobId);
+  if (!t) {
+    const el = document.createElement('div');
+    el.style.cssText = 'padding:6px 10px;border-radius:4px;color:#fff;max-width:320px;cursor:pointer;'
+      + 'box-shadow:0 2px 6px rgba(0,0,0,.3)';
+    el.title = 'Click to dismiss';
+    el.addEventListener('click', () => dismissToast(jobId));
+    toastHost().appendChild(el);
+    t = { el, timer: null };
+    toasts.set(jobId, t);
+  }
+  t.el.textContent = text;
+  t.el.style.background = TOAST_COLORS[tone];
+  clearTimeout(t.timer);
+  if (settled) t.timer = setTimeout(() => dismissToast(jobId), TOAST_HIDE_MS);
+}
+
+function jobProgressToast({ jobId, visibleOrder, state, step, reason }){
+  const order = visibleOrder ? `#${visibleOrder}` : 'order';
+  if (state === 'processing') showToast(jobId, `Capturing label for ${order}: ${TOAST_STEPS[step] || step || 'starting'}…`);
+  else if (state === 'captured') showToast(jobId, `Label captured for ${order}`, 'ok', true);
+  else if (state === 'emailed') showToast(jobId, `Return label emailed for ${order}`, 'ok', true);
+  else if (state === 'retry') showToast(jobId, `Retrying ${order}: ${reason}`, 'warn');
+  else if (state === 'failed') showToast(jobId, `Failed: ${reason}`, 'error', true);
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type !== 'JOB_PROGRESS') return;
+  jobProgressToast(msg);
+  sendResponse(true);
+});
+
+function newJobId(){
+  return `job_${Date.now()}_${Math.random().toString(36).slice(2,7)}`;
+}
+
+// Hand a job to the background pipeline and report the dedup decision (or
+// failure) in a toast keyed by the job id, which JOB_PROGRESS then updates.
+function enqueueWithToast(job){
+  const order = job.visibleOrder ? `#${job.visibleOrder}` : job.iorder ? `order ${job.iorder}` : 'order';
+  try {
+    chrome.runtime.sendMessage({ type: 'ENQUEUE_SHIP_JOB', job }, (res) => {
+      // Runtime errors (e.g., service worker asleep) surface here
+      const err = chrome.runtime.lastError;
+      if (err) {
+        log.error('Failed to send ENQUEUE_SHIP_JOB', err.message, job);
+        showToast(job.jobId, `Failed to queue ${order}: ${err.message}`, 'error', true);
+      } else if (!res?.ok) {
+        log.error('ENQUEUE_SHIP_JOB rejected', res?.error, job);
+        showToast(job.jobId, `Failed to queue ${order}: ${res?.error}`, 'error', true);
+      } else if (res.decision === 'skipped') {
+        log.warn('job not queued (duplicate)', { visibleOrder: job.visibleOrder, iorder: job.iorder, reason: res.reason });
+        showToast(job.jobId, `Not queued ${order}: ${res.reason}`, 'warn', true);
+      } else {
+        log.debug('ENQUEUE_SHIP_JOB sent', { job, decision: res.decision });
+        showToast(job.jobId, `Queued label for ${order}${res.decision === 'replaced' ? ' (replaced earlier)' : ''}`);
+      }
+    });
+  } catch (ex) {
+    log.error('Exception while sending ENQUEUE_SHIP_JOB', String(ex), job);
+  }
+}
+
+// Forward PDF responses seen by the MAIN-world hook the background installs
+// while capturing a label (see installPdfResponseHook).
+window.addEventListener('message', (e) => {
+  if (e.source !== window || e.data?.source !== 'hh-pdf-hook') return;
+  labelLog.debug('page PDF response', { url: e.data.url, method: e.data.method });
+  chrome.runtime.sendMessage({ type: 'PDF_CANDIDATE_URL', url: e.data.url, origin: e.data.method });
+});
+
 // Listen for background requests to trigger label click
   chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg && msg.type === 'OPEN_ORDER_AND_CLICK_LABEL') {
@@ -349,11 +486,11 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
   log.info('attaching Ship It! listener');
 
   document.addEventListener('click', (e) => {
-    const shipBtn = e.target.closest('#SI'); // "Ship It!" button inside the modal
+    const shipBtn = e.target.closest(PROFILE.ship.button); // "Ship It!" button inside the modal
     if (!shipBtn) return;
 
     // Find the current modal context
-    const modal = shipBtn.closest('.modal-content');
+    const modal = shipBtn.closest(PROFILE.ship.modal);
     if (!modal) {
       // Added debug: helps if DOM structure changes
       log.error('Ship It! clicked but .modal-content not found');
@@ -361,9 +498,9 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
     }
 
     // Read data BEFORE modal closes / next modal opens
-    const accountUrlEl = modal.querySelector('#Cust0');
+    const accountUrlEl = modal.querySelector(PROFILE.ship.accountLink);
     const accountUrl = accountUrlEl?.getAttribute('href') || null; // e.g. /cgi-bin/AccountInfo.cfm?iP=226963
-    const visibleOrder = (modal.querySelector('#iOrd1')?.textContent || '').trim() || null;
+    const visibleOrder = (modal.querySelector(PROFILE.ship.orderNumber)?.textContent || '').trim() || null;
 
     // Log values early to trace DOM extraction issues.
     log.debug('Ship It! captured', { accountUrl, visibleOrder });
@@ -377,31 +514,142 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
     const job = {
       accountUrl,
       visibleOrder,
+      kind: DEFAULT_KIND,
       createdAt: Date.now(),
-      jobId: `job_${Date.now()}_${Math.random().toString(36).slice(2,7)}`
+      jobId: newJobId()
     };
 
-    try {
-      // Send before the page navigates away; capturing listener fires prior to
-      // any default navigation triggered by the button click.
-      chrome.runtime.sendMessage({ type: 'ENQUEUE_SHIP_JOB', job }, () => {
-        // Runtime errors (e.g., service worker asleep) surface here
-        const err = chrome.runtime.lastError;
-        if (err) {
-          log.error('Failed to send ENQUEUE_SHIP_JOB', err.message, job);
-        } else {
-          log.debug('ENQUEUE_SHIP_JOB sent', { job });
-        }
-      });
-    } catch (ex) {
-      log.error('Exception while sending ENQUEUE_SHIP_JOB', String(ex), job);
-    }
+    // Send before the page navigates away; capturing listener fires prior to
+    // any default navigation triggered by the button click.
+    enqueueWithToast(job);
   }, { capture: true });
 
   // Optional: if "Ship It!" can be triggered by keyboard submit, we rely on the click path (site uses onclick).
   // If needed later, we can add form submit interception with the same payload.
 })();
 
+// ---------------------------------------------------------------------------
+// Manual queueing: a "Queue label" button (with a job kind picker) on each
+// Orders row and Demo Shears "O" row, plus the "Queue label for this order"
+// context menu with one entry per kind. Both enqueue a job of the chosen kind
+// for that iorder against the current account page, so they only work on the
+// account page (orders.accountPage in the site profile).
+// ---------------------------------------------------------------------------
+(function(){
+  const MARK = 'data-hh-queue';
+  const INJECT_BATCH_MS = 250;
+  let contextTarget = null;
+  let injectTimer = null;
+
+  function onAccountPage(){
+    return new RegExp(PROFILE.orders.accountPage, 'i').test(location.pathname + location.search);
+  }
+
+  function iorderFrom(el){
+    const link = el?.querySelector(PROFILE.orders.orderLink);
+    return /[?&]iorder=(\d+)/i.exec(link?.getAttribute('href') || '')?.[1] || null;
+  }
+
+  function isOrderType(row){
+    return (row.querySelector('td:nth-child(1)')?.textContent || '').trim().toUpperCase() === PROFILE.guards.orderType;
+  }
+
+  // The order behind an element inside an Orders row or a Demo Shears "O" row,
+  // or null. Demo rows borrow the iorder from the matching Orders row when
+  // they do not link it themselves; failing that, the background maps the
+  // visible order number as it does for Ship It!.
+  function orderAt(el){
+    const demoBox = findDemoBox();
+    const demoRow = within(el, demoBox) ? el.closest('tbody tr') : null;
+    if (demoRow) {
+      if (!isOrderType(demoRow)) return null;
+      const visibleOrder = (demoRow.querySelector('td:nth-child(2) a')?.textContent || '').trim() || null;
+      if (!visibleOrder) return null;
+      const ordersRow = Array.from(document.querySelectorAll(`${PROFILE.orders.accordion} ${PROFILE.orders.row}`))
+        .find(r => (r.textContent || '').includes(`#${visibleOrder}`));
+      return { visibleOrder, iorder: iorderFrom(demoRow) || iorderFrom(ordersRow) };
+    }
+    const row = el?.closest?.(PROFILE.orders.row);
+    if (!row || !within(row, findOrdersBox())) return null;
+    const iorder = iorderFrom(row);
+    if (!iorder) return null;
+    return { iorder, visibleOrder: /#(\d+)/.exec(row.textContent || '')?.[1] || null };
+  }
+
+  function queueOrder(order, kind){
+    if (!onAccountPage()) {
+      showToast(`manual_${Date.now()}`, 'Open the account page to queue a label', 'warn', true);
+      return;
+    }
+    enqueueWithToast({
+      // Same shape as the Ship It! modal's #Cust0 href
+      accountUrl: location.pathname + location.search,
+      visibleOrder: order.visibleOrder,
+      iorder: order.iorder,
+      kind,
+      createdAt: Date.now(),
+      jobId: newJobId()
+    });
+  }
+
+  function addButton(row){
+    if (row.hasAttribute(MARK)) return;
+    row.setAttribute(MARK, '');
+    const wrap = document.createElement('span');
+    wrap.style.cssText = 'margin-left:6px;white-space:nowrap;font-size:11px';
+    // Keep the row's own onclick (GetOrder) from expanding it
+    wrap.addEventListener('click', e => e.stopPropagation());
+    const kind = document.createElement('select');
+    kind.title = 'Label to queue';
+    kind.style.cssText = 'font-size:11px';
+    Object.entries(JOB_KINDS).forEach(([value, { title }]) => kind.add(new Option(title, value)));
+    kind.value = DEFAULT_KIND;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Queue label';
+    btn.title = 'Queue a label for this order';
+    btn.style.cssText = 'margin-left:3px;padding:0 6px;font-size:11px;cursor:pointer';
+    btn.addEventListener('click', e => {
+      e.preventDefault();
+      const order = orderAt(row);
+      if (order) queueOrder(order, kind.value);
+      else showToast(`manual_${Date.now()}`, 'No order found in this row', 'warn', true);
+    });
+    wrap.append(kind, btn);
+    (row.cells?.[row.cells.length - 1] || row).appendChild(wrap);
+  }
+
+  function injectButtons(){
+    if (!onAccountPage()) return;
+    const demoBox = findDemoBox();
+    demoBox?.querySelectorAll('tbody tr').forEach(r => { if (isOrderType(r)) addButton(r); });
+    findOrdersBox()?.querySelectorAll(PROFILE.orders.row).forEach(addButton);
+  }
+
+  document.addEventListener('contextmenu', e => { contextTarget = e.target; }, true);
+
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg?.type !== 'QUEUE_CONTEXT_ORDER') return;
+    const order = contextTarget && orderAt(contextTarget);
+    if (order) queueOrder(order, JOB_KINDS[msg.kind] ? msg.kind : DEFAULT_KIND);
+    else showToast(`manual_${Date.now()}`, 'Right-click an order row to queue its label', 'warn', true);
+    sendResponse(!!order);
+  });
+
+  // The accordion and Demo Shears table are refreshed by script; batch the
+  // mutations into at most one rescan per INJECT_BATCH_MS.
+  function scheduleInject(){
+    if (injectTimer || !onAccountPage()) return;
+    injectTimer = setTimeout(() => {
+      injectTimer = null;
+      try { injectButtons(); } catch (e) { log.error('injectButtons error', String(e)); }
+    }, INJECT_BATCH_MS);
+  }
+
+  new MutationObserver(scheduleInject).observe(document.documentElement, { childList: true, subtree: true });
+  scheduleInject();
+})();
+
 // ---------------------------------------------------------------------------
 // Demo return automation: read demo table, find matching orders, and open return labels
 // ---------------------------------------------------------------------------
@@ -445,7 +693,7 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
     if (!body) return [];
     return Array.from(body.querySelectorAll('tr')).reduce((acc, row) => {
       const status = (row.querySelector('td:nth-child(1)')?.textContent || '').trim().toUpperCase();
-      if (status !== 'O') return acc; // only outbound demos
+      if (status !== PROFILE.guards.orderType) return acc; // only outbound demos
       const orderNo = (row.querySelector('td:nth-child(2) a')?.textContent || '').trim();
       if (orderNo) acc.push(orderNo);
       return acc;
@@ -454,7 +702,7 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
 
   // Ensure the Orders, Notes tab is visible before searching for orders
   function ensureOrdersTab(ctx){
-    const tab = document.querySelector(SEL.ordersTab);
+    const tab = document.querySelector(PROFILE.orders.tab);
     if (tab && !tab.classList.contains('active')){
       safeClick(tab, ctx);
     }
@@ -464,13 +712,13 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
   async function findOrderRow(orderNo){
     let ttl = 60000, delay = 200;
     while (ttl > 0){
-      const rows = Array.from(document.querySelectorAll(SEL.orderRowMatcher(orderNo)));
+      const rows = Array.from(document.querySelectorAll(`${PROFILE.orders.accordion} ${PROFILE.orders.row}`));
       const row = rows.find(r => {
         const txt = r.textContent || '';
         if (!txt.includes(`#${orderNo}`)) return false;
         // Only match outbound demo rows where the status column is "O"
         const status = (r.querySelector('td:nth-child(1)')?.textContent || '').trim().toUpperCase();
-        return status === 'O';
+        return status === PROFILE.guards.orderType;
       });
       if (row) return row;
       await sleep(delay);
@@ -481,7 +729,8 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
     return null;
   }
 
-  // Expand the order in the accordion and trigger the appropriate label link
+  // Expand the order in the accordion and trigger its label: the first label
+  // function the page defines, in CONFIG.JOB_KINDS order.
   async function handleOrder(orderNo, ctx){
     ensureOrdersTab(ctx);
     const row = await findOrderRow(orderNo);
@@ -496,47 +745,26 @@ function waitFor(fn, timeoutMs = 10000, poll = 100) {
       safeClick(row, ctx);
     }
     labelLog.debug('opening order row', { iorder });
-    const panel = await waitForElem(() => document.querySelector(SEL.orderPanelByNumber(iorder)), 10000);
+    const panel = await waitForElem(() => document.querySelector(fillSel(PROFILE.orders.panel, { iorder })), 10000);
     if (!panel){ labelLog.dedup('order panel not found', { orderNo }, 'warn'); return; }
-    await waitForElem(() => panel.querySelector('#Ord1, #TItems'), 10000);
+    await waitForElem(() => panel.querySelector(PROFILE.orders.panelReady), 10000);
 
     // Prepare environment and call viewDemoLabel directly
-    try { window.cTrn = 'O'; } catch {}
-    try {
-      const cTr = document.querySelector('#cTr');
-      if (cTr) cTr.innerHTML = 'O';
-      if (window.jQuery && window.$) { try { $('#cTr').html('O'); } catch {} }
-    } catch {}
+    primeOrderType();
 
     try { window.iOrder = iorder; } catch {}
 
-    const form = panel.querySelector('form');
-    if (form) {
-      const ensure = (n,v)=>{ let el=form.querySelector(`input[name="${n}"]`)||form.querySelector('#'+CSS.escape(n));
-        if (!el){ el=document.createElement('input'); el.type='hidden'; el.name=n; el.id=n; form.appendChild(el); }
-        el.value=String(v);
-      };
-      ['iOrder','currentOrder','selOrder','OrderID','orderId','order','order_id'].forEach(n=>ensure(n,iorder));
-    }
+    primeGuardInputs(panel, iorder);
 
-    const labelFns = [
-      ['View Demo Label', 'viewDemoLabel'],
-      ['View Return Label', 'viewReturnLabel'],
-      ['Email Return Label', 'sendReturnLabel']
-    ];
-    let invoked = false;
-    for (const [action, fn] of labelFns) {
-      if (typeof window[fn] === 'function') {
-        labelLog.debug('calling label function', { action, iorder });
-        try { window[fn](); } catch (e) {
-          labelLog.error('label function threw', { action, error: String(e) });
-        }
-        invoked = true;
-        break;
-      }
+    const fns = SiteProfile.labelFunctions(PROFILE, Object.keys(JOB_KINDS));
+    const fn = fns.find(f => typeof window[f] === 'function');
+    if (!fn) {
+      labelLog.dedup('label function missing', { iorder, fns }, 'warn');
+      return;
     }
-    if (!invoked) {
-      labelLog.dedup('label function missing', { iorder }, 'warn');
+    labelLog.debug('calling label function', { fn, iorder });
+    try { window[fn](); } catch (e) {
+      labelLog.error('label function threw', { fn, error: String(e) });
     }
   }
 
@@ -28,3 +28,139 @@ document.getElementById('trace').addEventListener('click', () => setPreset({
   sampling: { trace: 0.2 },
   rateLimit: { windowMs: 2000, maxPerWindow: 20 }
 }));
+
+// Bind a numeric input to a chrome.storage.local key, falling back to `def`.
+function bindNumberSetting(id, key, def){
+  const input = document.getElementById(id);
+  chrome.storage.local.get(key, obj => {
+    input.value = typeof obj[key] === 'number' ? obj[key] : def;
+  });
+  input.addEventListener('change', () => {
+    const val = Math.max(0, parseInt(input.value, 10) || 0);
+    input.value = val;
+    chrome.storage.local.set({ [key]: val }, () => {
+      const err = chrome.runtime.lastError;
+      if (err) log.error('setting save error', { key, error: err.message });
+      else log.info('setting saved', { key, val });
+    });
+  });
+}
+
+// Bind a <select> to a chrome.storage.local key, falling back to `def`.
+function bindSelectSetting(id, key, def){
+  const select = document.getElementById(id);
+  chrome.storage.local.get(key, obj => {
+    select.value = obj[key] || def;
+  });
+  select.addEventListener('change', () => {
+    const val = select.value;
+    chrome.storage.local.set({ [key]: val }, () => {
+      const err = chrome.runtime.lastError;
+      if (err) log.error('setting save error', { key, error: err.message });
+      else log.info('setting saved', { key, val });
+    });
+  });
+}
+
+// Bind a checkbox to a boolean chrome.storage.local key.
+function bindCheckboxSetting(id, key, def){
+  const input = document.getElementById(id);
+  chrome.storage.local.get(key, obj => {
+    input.checked = typeof obj[key] === 'boolean' ? obj[key] : def;
+  });
+  input.addEventListener('change', () => {
+    const val = input.checked;
+    chrome.storage.local.set({ [key]: val }, () => {
+      const err = chrome.runtime.lastError;
+      if (err) log.error('setting save error', { key, error: err.message });
+      else log.info('setting saved', { key, val });
+    });
+  });
+}
+
+bindNumberSetting('historyRetention', CONFIG.HISTORY_RETENTION_KEY, CONFIG.DEFAULT_HISTORY_RETENTION);
+bindSelectSetting('startupResume', CONFIG.STARTUP_RESUME_KEY, CONFIG.DEFAULT_STARTUP_RESUME);
+bindNumberSetting('concurrency', CONFIG.CONCURRENCY_KEY, CONFIG.DEFAULT_CONCURRENCY);
+bindCheckboxSetting('reuseWorkerTab', CONFIG.REUSE_WORKER_TAB_KEY, false);
+bindSelectSetting('dedupPolicy', CONFIG.DEDUP_POLICY_KEY, CONFIG.DEFAULT_DEDUP_POLICY);
+bindSelectSetting('defaultJobKind', CONFIG.DEFAULT_JOB_KIND_KEY, CONFIG.DEFAULT_JOB_KIND);
+
+// ----- Site profile editor -----
+const profileInput = document.getElementById('siteProfile');
+const profileStatus = document.getElementById('profileStatus');
+
+function showProfileStatus(text, isError = false){
+  profileStatus.textContent = text;
+  profileStatus.style.color = isError ? '#b00' : '#2e7d32';
+}
+
+function showProfile(profile){
+  profileInput.value = JSON.stringify(profile, null, 2);
+}
+
+// Validate and store a profile given as JSON text; storage listeners in the
+// background and content scripts pick it up.
+function saveProfileText(text){
+  let profile;
+  try {
+    profile = SiteProfile.normalize(JSON.parse(text));
+  } catch (e) {
+    showProfileStatus(`Not saved: ${e.message}`, true);
+    return;
+  }
+  chrome.storage.local.set({ [CONFIG.SITE_PROFILE_KEY]: profile }, () => {
+    const err = chrome.runtime.lastError;
+    if (err) {
+      log.error('site profile save error', { error: err.message });
+      showProfileStatus(`Not saved: ${err.message}`, true);
+      return;
+    }
+    log.info('site profile saved', { version: profile.version, origin: profile.origin });
+    showProfile(profile);
+    showProfileStatus('Saved');
+  });
+}
+
+chrome.storage.local.get(CONFIG.SITE_PROFILE_KEY, obj => {
+  const stored = obj[CONFIG.SITE_PROFILE_KEY];
+  try {
+    showProfile(stored ? SiteProfile.normalize(stored) : SiteProfile.DEFAULT);
+  } catch (e) {
+    showProfile(stored);
+    showProfileStatus(`Stored profile is invalid (defaults in use): ${e.message}`, true);
+  }
+});
+
+document.getElementById('saveProfile').addEventListener('click', () => saveProfileText(profileInput.value));
+
+document.getElementById('resetProfile').addEventListener('click', () => {
+  chrome.storage.local.remove(CONFIG.SITE_PROFILE_KEY, () => {
+    showProfile(SiteProfile.DEFAULT);
+    showProfileStatus('Reset to defaults');
+  });
+});
+
+// Export what the editor holds, normalized the same way Save would, so a file
+// that imports cleanly is all Export ever writes.
+document.getElementById('exportProfile').addEventListener('click', () => {
+  let profile;
+  try {
+    profile = SiteProfile.normalize(JSON.parse(profileInput.value));
+  } catch (e) {
+    showProfileStatus(`Not exported: ${e.message}`, true);
+    return;
+  }
+  const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `hh-site-profile-v${SiteProfile.VERSION}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+});
+
+document.getElementById('importProfile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  saveProfileText(await file.text());
+});
@@ -64,17 +64,401 @@ function setupMessageDebug(){
 // Activate messaging debugging in popup context
 setupMessageDebug();
 
-const LABELS_KEY = 'hh_labels_v1';
-const JOBS_KEY   = 'hh_jobs_v1';
+const {
+  LABELS_KEY, JOBS_KEY, HISTORY_KEY, PENDING_PRINT_KEY, PRINT_LAYOUT_KEY, DEFAULT_PRINT_LAYOUT,
+  JOB_KINDS, SENT_EMAILS_KEY
+} = CONFIG;
 const listEl = document.getElementById('list');
 const sumEl  = document.getElementById('summary');
+const jobsEl = document.getElementById('jobs');
+const historyEl = document.getElementById('history');
+const diagEl = document.getElementById('diagnostics');
+const emailsEl = document.getElementById('emails');
+const statusEl = document.getElementById('status');
+const pendingEl = document.getElementById('pendingPrint');
+let pendingPrint = null;
+const previewEl = document.getElementById('preview');
+const previewFrame = document.getElementById('previewFrame');
+let previewUrl = null;
+
+// Send a message to the background and resolve with its `{ ok, ... }` reply.
+function sendBg(msg){
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage(msg, (res) => {
+        const err = chrome.runtime.lastError;
+        if (err) {
+          log.error(`${msg.type} send error`, { error: err.message });
+          resolve({ ok: false, error: err.message });
+        } else {
+          resolve(res || { ok: false, error: 'No response' });
+        }
+      });
+    } catch (e) {
+      log.error(`${msg.type} exception`, { error: String(e) });
+      resolve({ ok: false, error: String(e) });
+    }
+  });
+}
+
+const STEP_LABELS = {
+  account_tab: 'account tab',
+  map_order: 'O-row mapping',
+  panel_check: 'panel check',
+  pdf_capture: 'PDF capture',
+  pdf_fetch: 'PDF fetch',
+  pdf_validate: 'PDF validation',
+  label_email: 'label email'
+};
+
+function showStatus(text, isError = false){
+  statusEl.textContent = text;
+  statusEl.style.color = isError ? '#b00' : '#333';
+  statusEl.style.display = text ? '' : 'none';
+}
+
+// Summarise a print/download outcome, listing any labels that were skipped.
+function outcomeText(verb, count, skipped = []){
+  let text = `${verb} ${count} label${count === 1 ? '' : 's'}`;
+  if (skipped.length) {
+    text += `, skipped ${skipped.length}:`;
+    skipped.forEach(f => {
+      text += `\n• Demo Order ${f.demoOrder}${f.orderNumber ? ` (#${f.orderNumber})` : ''}: ${f.reason}`;
+    });
+  }
+  return text;
+}
+
+function fmtTime(ts){
+  return ts ? new Date(ts).toLocaleTimeString() : '';
+}
+
+function renderJobs(jobs){
+  jobsEl.innerHTML = '';
+  if (!jobs.length) {
+    jobsEl.textContent = 'No jobs.';
+    return;
+  }
+  const ul = document.createElement('ul');
+  ul.style.paddingLeft = '16px';
+  jobs.forEach(job => {
+    const li = document.createElement('li');
+    li.style.marginBottom = '4px';
+    const kind = JOB_KINDS[job.kind || 'demo'];
+    const order = job.visibleOrder ? `#${job.visibleOrder}` : job.iorder ? `order ${job.iorder}` : '#?';
+    const parts = [order, kind ? kind.title : job.kind, job.status, `tries ${job.tries ?? 0}`];
+    if (job.status === 'retry' && job.nextAt) parts.push(`next ${fmtTime(job.nextAt)}`);
+    const head = document.createElement('div');
+    head.textContent = parts.join(' · ');
+    li.appendChild(head);
+    if (job.lastError) {
+      const reason = document.createElement('div');
+      reason.style.color = '#b00';
+      const step = STEP_LABELS[job.lastStep] || job.lastStep;
+      reason.textContent = step ? `${step}: ${job.lastError}` : job.lastError;
+      li.appendChild(reason);
+    }
+    if (Array.isArray(job.attempts) && job.attempts.length) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = `Attempts (${job.attempts.length})`;
+      details.appendChild(summary);
+      const ol = document.createElement('ol');
+      ol.style.paddingLeft = '16px';
+      job.attempts.forEach(a => {
+        const item = document.createElement('li');
+        const step = STEP_LABELS[a.step] || a.step || '?';
+        item.textContent = `${fmtTime(a.startedAt)} (${Math.round((a.durationMs || 0) / 1000)}s) ${step}: ${a.error}`;
+        ol.appendChild(item);
+      });
+      details.appendChild(ol);
+      li.appendChild(details);
+    }
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.gap = '4px';
+    if (job.status !== 'processing') {
+      const retry = document.createElement('button');
+      retry.textContent = 'Retry';
+      retry.addEventListener('click', () => jobAction('RETRY_JOB', job.jobId));
+      actions.appendChild(retry);
+    }
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => jobAction('CANCEL_JOB', job.jobId));
+    actions.appendChild(cancel);
+    li.appendChild(actions);
+    ul.appendChild(li);
+  });
+  jobsEl.appendChild(ul);
+}
+
+function base64ToBlob(base64, type){
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
+
+function closePreview(){
+  previewEl.style.display = 'none';
+  previewFrame.removeAttribute('src');
+  if (previewUrl) { URL.revokeObjectURL(previewUrl); previewUrl = null; }
+}
+
+async function showPreview(item){
+  closePreview();
+  let src = item.url;
+  let bytes = null;
+  try { bytes = await LabelStore.getLabel(item.demoOrder); }
+  catch (e) { log.warn('preview: LabelStore read failed', { demoOrder: item.demoOrder, error: String(e) }); }
+  if (bytes) {
+    previewUrl = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+    src = previewUrl;
+  } else if (item.data) {
+    // Queued before LabelStore; the background migrates these on start
+    previewUrl = URL.createObjectURL(base64ToBlob(item.data, 'application/pdf'));
+    src = previewUrl;
+  }
+  if (!src) {
+    log.warn('preview: label has no data or url', { demoOrder: item.demoOrder });
+    return;
+  }
+  document.getElementById('previewTitle').textContent = `Demo Order ${item.demoOrder}`;
+  previewFrame.src = src;
+  previewEl.style.display = '';
+}
+
+function renderPendingPrint(){
+  if (!pendingPrint) {
+    pendingEl.style.display = 'none';
+    return;
+  }
+  document.getElementById('pendingText').textContent =
+    `Printed ${pendingPrint.demoOrders.length} labels at ${fmtTime(pendingPrint.printedAt)}. Did the print succeed?`;
+  pendingEl.style.display = '';
+}
+
+function renderLabels(labels){
+  const awaiting = new Set(pendingPrint ? pendingPrint.demoOrders : []);
+  const ul = document.createElement('ul');
+  ul.style.paddingLeft = '16px';
+  let dragFrom = null;
+  labels.forEach((it, i) => {
+    const li = document.createElement('li');
+    li.draggable = true;
+    li.style.cursor = 'move';
+    li.style.display = 'flex';
+    li.style.gap = '4px';
+    li.style.alignItems = 'center';
+    const text = document.createElement('span');
+    text.style.flex = '1';
+    const title = it.kind && it.kind !== 'demo'
+      ? `${JOB_KINDS[it.kind]?.title || it.kind} ${it.iorder || it.demoOrder}`
+      : `Demo Order ${it.demoOrder}`;
+    text.textContent = title + (it.orderNumber ? ` (from #${it.orderNumber})` : '')
+      + (awaiting.has(it.demoOrder) ? ' – printed, awaiting confirmation' : '')
+      + (it.duplicateOf ? ` – same PDF as demo ${it.duplicateOf}` : '')
+      + (it.printError ? ` – skipped: ${it.printError}` : '');
+    if (it.printError) text.style.color = '#b00';
+    li.appendChild(text);
+
+    const preview = document.createElement('button');
+    preview.textContent = 'Preview';
+    preview.addEventListener('click', () => showPreview(it));
+    li.appendChild(preview);
+
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      const res = await sendBg({ type: 'REMOVE_LABEL', demoOrder: it.demoOrder });
+      if (!res.ok) log.warn('REMOVE_LABEL failed', { demoOrder: it.demoOrder, error: res.error });
+    });
+    li.appendChild(remove);
+
+    li.addEventListener('dragstart', (e) => {
+      dragFrom = i;
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    li.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    });
+    li.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      if (dragFrom === null || dragFrom === i) return;
+      const order = labels.map(x => x.demoOrder);
+      const [moved] = order.splice(dragFrom, 1);
+      order.splice(i, 0, moved);
+      dragFrom = null;
+      const res = await sendBg({ type: 'REORDER_LABELS', order });
+      if (!res.ok) log.warn('REORDER_LABELS failed', { error: res.error });
+    });
+    ul.appendChild(li);
+  });
+  listEl.innerHTML = '';
+  listEl.appendChild(ul);
+}
+
+function downloadPdfBytes(bytes, filename){
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function fileStamp(ts){
+  const d = new Date(ts);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+// Download a whole archived batch, or one label from it.
+async function downloadFromBatch(batchId, demoOrder, filename){
+  try {
+    const record = await LabelStore.getBatch(batchId);
+    const bytes = record && (demoOrder ? record.labels[demoOrder] : record.merged);
+    if (!bytes) {
+      showStatus('That PDF is no longer stored.', true);
+      return;
+    }
+    downloadPdfBytes(bytes, filename);
+  } catch (e) {
+    log.error('history download error', { batchId, demoOrder, error: String(e) });
+    showStatus(`Download failed: ${e}`, true);
+  }
+}
+
+async function reprint(batchId, demoOrder){
+  const res = await sendBg({ type: 'REPRINT_BATCH', batchId, demoOrder });
+  if (!res.ok) log.warn('REPRINT_BATCH failed', { batchId, demoOrder, error: res.error });
+}
+
+function actionButton(label, onClick){
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+async function loadHistory(){
+  try {
+    const all = await chrome.storage.local.get(HISTORY_KEY);
+    const history = Array.isArray(all[HISTORY_KEY]) ? all[HISTORY_KEY] : [];
+    historyEl.innerHTML = '';
+    if (!history.length) {
+      historyEl.textContent = 'No printed batches.';
+      return;
+    }
+    history.forEach(batch => {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = `${new Date(batch.printedAt).toLocaleString()} · ${batch.orders.length} labels `;
+      summary.appendChild(actionButton('Reprint', () => reprint(batch.batchId)));
+      summary.appendChild(actionButton('Download', () =>
+        downloadFromBatch(batch.batchId, null, `return-labels-${fileStamp(batch.printedAt)}.pdf`)));
+      details.appendChild(summary);
+
+      const ul = document.createElement('ul');
+      ul.style.paddingLeft = '16px';
+      batch.orders.forEach(o => {
+        const li = document.createElement('li');
+        li.textContent = `Demo Order ${o.demoOrder}` + (o.orderNumber ? ` (from #${o.orderNumber}) ` : ' ');
+        if (o.hasData || o.data) {
+          li.appendChild(actionButton('Reprint', () => reprint(batch.batchId, o.demoOrder)));
+          li.appendChild(actionButton('Download', () =>
+            downloadFromBatch(batch.batchId, o.demoOrder, `return-label-${o.demoOrder}.pdf`)));
+        }
+        ul.appendChild(li);
+      });
+      details.appendChild(ul);
+      historyEl.appendChild(details);
+    });
+  } catch (e) {
+    log.error('loadHistory error', { error: String(e) });
+    historyEl.textContent = 'Error loading history (check console).';
+  }
+}
+
+// Run the site health check against the active tab and list each check.
+const DIAG_MARKS = { pass: ['✔', '#2e7d32'], fail: ['✘', '#b00'], skip: ['–', '#999'] };
+
+async function diagnoseActiveTab(){
+  diagEl.textContent = 'Checking…';
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) {
+    diagEl.textContent = 'No active tab.';
+    return;
+  }
+  const res = await sendBg({ type: 'DIAGNOSE_PAGE', tabId: tab.id });
+  if (!res.ok) {
+    diagEl.textContent = `Could not diagnose: ${res.error}`;
+    diagEl.style.color = '#b00';
+    return;
+  }
+  diagEl.textContent = '';
+  diagEl.style.color = '';
+  const head = document.createElement('div');
+  const { pass, fail, skip } = res.summary;
+  head.textContent = `${fail ? 'FAIL' : 'PASS'} · ${pass} passed, ${fail} failed, ${skip} skipped (profile v${res.profileVersion})`;
+  head.style.fontWeight = 'bold';
+  head.style.color = fail ? '#b00' : '#2e7d32';
+  diagEl.appendChild(head);
+  const ul = document.createElement('ul');
+  ul.style.paddingLeft = '16px';
+  ul.style.margin = '4px 0';
+  res.checks.forEach(c => {
+    const li = document.createElement('li');
+    const [mark, color] = DIAG_MARKS[c.status];
+    li.textContent = `${mark} ${c.name}` + (c.detail ? ` – ${c.detail}` : '');
+    li.style.color = color;
+    ul.appendChild(li);
+  });
+  diagEl.appendChild(ul);
+}
+
+// Emailed return labels never enter the label queue, so list them here.
+async function loadSentEmails(){
+  try {
+    const all = await chrome.storage.local.get(SENT_EMAILS_KEY);
+    const sent = Array.isArray(all[SENT_EMAILS_KEY]) ? all[SENT_EMAILS_KEY] : [];
+    emailsEl.innerHTML = '';
+    if (!sent.length) {
+      emailsEl.textContent = 'No emailed labels.';
+      return;
+    }
+    const ul = document.createElement('ul');
+    ul.style.paddingLeft = '16px';
+    sent.forEach(e => {
+      const li = document.createElement('li');
+      li.textContent = `${new Date(e.sentAt).toLocaleString()} · Order ${e.iorder}`
+        + (e.orderNumber ? ` (from #${e.orderNumber})` : '');
+      ul.appendChild(li);
+    });
+    emailsEl.appendChild(ul);
+  } catch (e) {
+    log.error('loadSentEmails error', { error: String(e) });
+    emailsEl.textContent = 'Error loading emailed labels (check console).';
+  }
+}
+
+async function jobAction(type, jobId){
+  const res = await sendBg({ type, jobId });
+  if (!res.ok) log.warn(`${type} failed`, { jobId, error: res.error });
+}
 
 async function load() {
   log.debug('load invoked');
   try {
-    const all = await chrome.storage.local.get([LABELS_KEY, JOBS_KEY]);
+    const all = await chrome.storage.local.get([LABELS_KEY, JOBS_KEY, PENDING_PRINT_KEY]);
     const labels = Array.isArray(all[LABELS_KEY]) ? all[LABELS_KEY] : [];
     const jobs = Array.isArray(all[JOBS_KEY]) ? all[JOBS_KEY] : [];
+    pendingPrint = all[PENDING_PRINT_KEY] || null;
+    renderPendingPrint();
 
     const queued = labels.length;
     const pending = jobs.filter(j => j.status === 'pending' || j.status === 'processing' || j.status === 'retry').length;
@@ -82,53 +466,178 @@ async function load() {
 
     log.debug('queue stats', { queued, pending, failed });
     sumEl.textContent = `Queued: ${queued} | In-Process: ${pending} | Failed: ${failed}`;
+    renderJobs(jobs);
 
     if (!labels.length) {
       listEl.textContent = 'No labels queued.';
       return;
     }
-    const ul = document.createElement('ul');
-      labels.forEach(it => {
-        const li = document.createElement('li');
-        li.textContent = `Demo Order ${it.demoOrder}` + (it.orderNumber ? ` (from #${it.orderNumber})` : '');
-        ul.appendChild(li);
-      });
-    listEl.innerHTML = '';
-    listEl.appendChild(ul);
+    renderLabels(labels);
   } catch (e) {
     log.error('load error', { error: String(e) });
     listEl.textContent = 'Error loading queue (check console).';
   }
 }
 
-document.getElementById('printAll').addEventListener('click', () => {
+// Layout controls persist immediately; Print All and Download PDF read the
+// stored layout in the background.
+const layoutEls = {
+  mode: document.getElementById('layoutMode'),
+  paper: document.getElementById('layoutPaper'),
+  marginIn: document.getElementById('layoutMargin'),
+  cutMarks: document.getElementById('layoutCutMarks'),
+  stamp: document.getElementById('layoutStamp'),
+  stampBarcode: document.getElementById('layoutStampBarcode'),
+  coverSheet: document.getElementById('layoutCoverSheet')
+};
+
+async function loadLayout(){
+  const all = await chrome.storage.local.get(PRINT_LAYOUT_KEY);
+  const layout = { ...DEFAULT_PRINT_LAYOUT, ...(all[PRINT_LAYOUT_KEY] || {}) };
+  layoutEls.mode.value = layout.mode;
+  layoutEls.paper.value = layout.paper;
+  layoutEls.marginIn.value = layout.marginIn;
+  layoutEls.cutMarks.checked = !!layout.cutMarks;
+  layoutEls.stamp.checked = !!layout.stamp;
+  layoutEls.stampBarcode.checked = !!layout.stampBarcode;
+  layoutEls.stampBarcode.disabled = !layout.stamp;
+  layoutEls.coverSheet.checked = !!layout.coverSheet;
+  const nUp = layout.mode !== 'native';
+  layoutEls.paper.disabled = !nUp;
+  layoutEls.marginIn.disabled = !nUp;
+  layoutEls.cutMarks.disabled = !nUp;
+}
+
+async function saveLayout(){
+  const layout = {
+    mode: layoutEls.mode.value,
+    paper: layoutEls.paper.value,
+    marginIn: Math.max(0, parseFloat(layoutEls.marginIn.value) || 0),
+    cutMarks: layoutEls.cutMarks.checked,
+    stamp: layoutEls.stamp.checked,
+    stampBarcode: layoutEls.stampBarcode.checked,
+    coverSheet: layoutEls.coverSheet.checked
+  };
   try {
-    chrome.runtime.sendMessage({ type: 'PRINT_ALL' }, () => {
-      const err = chrome.runtime.lastError;
-      if (err) log.error('PRINT_ALL send error', { error: err.message });
-      else log.debug('PRINT_ALL sent');
-    });
+    await chrome.storage.local.set({ [PRINT_LAYOUT_KEY]: layout });
+    log.debug('layout saved', layout);
   } catch (e) {
-    log.error('PRINT_ALL exception', { error: String(e) });
+    log.error('layout save error', { error: String(e) });
+  }
+  loadLayout();
+}
+
+Object.values(layoutEls).forEach(el => el.addEventListener('change', saveLayout));
+
+document.getElementById('printAll').addEventListener('click', async () => {
+  showStatus('Printing…');
+  const res = await sendBg({ type: 'PRINT_ALL' });
+  if (res.ok) {
+    log.debug('PRINT_ALL done', { printed: res.printed, skipped: res.skipped });
+    showStatus(outcomeText('Sent', res.printed, res.skipped), !!(res.skipped && res.skipped.length));
+  } else {
+    log.warn('PRINT_ALL failed', { error: res.error });
+    showStatus(`Print failed: ${res.error}`, true);
   }
 });
 
-document.getElementById('clear').addEventListener('click', async () => {
-  try {
-    await chrome.storage.local.set({ [LABELS_KEY]: [] });
-    log.debug('Queue cleared');
-    load();
-  } catch (e) {
-    log.error('clear error', { error: String(e) });
+document.getElementById('downloadPdf').addEventListener('click', async () => {
+  const res = await sendBg({ type: 'DOWNLOAD_PDF' });
+  if (res.ok) {
+    log.debug('DOWNLOAD_PDF started', { filename: res.filename });
+    showStatus(outcomeText('Downloaded', res.count, res.skipped), !!(res.skipped && res.skipped.length));
+  } else {
+    log.warn('DOWNLOAD_PDF failed', { error: res.error });
+    showStatus(`Download failed: ${res.error}`, true);
+  }
+});
+
+document.getElementById('downloadZip').addEventListener('click', async () => {
+  const res = await sendBg({ type: 'DOWNLOAD_ZIP' });
+  if (res.ok) {
+    log.debug('DOWNLOAD_ZIP started', { filename: res.filename });
+    showStatus(outcomeText('Zipped', res.count, res.skipped), !!(res.skipped && res.skipped.length));
+  } else {
+    log.warn('DOWNLOAD_ZIP failed', { error: res.error });
+    showStatus(`Download failed: ${res.error}`, true);
   }
 });
 
+document.getElementById('confirmPrint').addEventListener('click', async () => {
+  const res = await sendBg({ type: 'CONFIRM_PRINT', batchId: pendingPrint?.batchId });
+  if (!res.ok) log.warn('CONFIRM_PRINT failed', { error: res.error });
+});
+
+document.getElementById('restorePrint').addEventListener('click', async () => {
+  const res = await sendBg({ type: 'RESTORE_PRINT', batchId: pendingPrint?.batchId });
+  if (!res.ok) log.warn('RESTORE_PRINT failed', { error: res.error });
+});
+
+document.getElementById('closePreview').addEventListener('click', closePreview);
+
+document.getElementById('diagnose').addEventListener('click', () => {
+  diagnoseActiveTab().catch(e => {
+    log.error('diagnose error', { error: String(e) });
+    diagEl.textContent = 'Error running diagnostics (check console).';
+  });
+});
+
+document.getElementById('runQueue').addEventListener('click', async () => {
+  const res = await sendBg({ type: 'RUN_QUEUE' });
+  if (res.ok) showStatus(res.count ? `Running ${res.count} queued job${res.count === 1 ? '' : 's'}` : 'No queued jobs to run');
+  else showStatus(`Could not start queue: ${res.error}`, true);
+});
+
+document.getElementById('retryFailed').addEventListener('click', async () => {
+  const res = await sendBg({ type: 'RETRY_FAILED_JOBS' });
+  if (res.ok) log.debug('RETRY_FAILED_JOBS done', { count: res.count });
+  else log.warn('RETRY_FAILED_JOBS failed', { error: res.error });
+});
+
+document.getElementById('clear').addEventListener('click', async () => {
+  const res = await sendBg({ type: 'CLEAR_LABELS' });
+  if (res.ok) log.debug('Queue cleared', { count: res.count });
+  else log.error('clear error', { error: res.error });
+});
+
 // Live refresh when background updates storage
 chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === 'local' && (LABELS_KEY in changes || JOBS_KEY in changes)) {
+  if (area === 'local' && (LABELS_KEY in changes || JOBS_KEY in changes || PENDING_PRINT_KEY in changes)) {
     log.debug('storage change', { changes });
     load();
+    loadQuota();
   }
+  if (area === 'local' && HISTORY_KEY in changes) loadHistory();
+  if (area === 'local' && SENT_EMAILS_KEY in changes) loadSentEmails();
 });
 
+function fmtBytes(n){
+  if (!(n >= 0)) return '?';
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Report chrome.storage.local usage (queue metadata) and the origin's
+// IndexedDB usage against its quota (label PDFs).
+async function loadQuota(){
+  const el = document.getElementById('quota');
+  try {
+    const local = await chrome.storage.local.getBytesInUse(null);
+    let text = `Storage: settings/queue ${fmtBytes(local)}`;
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      text += ` · PDFs ${fmtBytes(usage)} of ${fmtBytes(quota)}`;
+      if (quota && usage / quota > 0.8) el.style.color = '#b00';
+    }
+    el.textContent = text;
+  } catch (e) {
+    log.warn('quota estimate failed', { error: String(e) });
+    el.textContent = '';
+  }
+}
+
 load();
+loadHistory();
+loadSentEmails();
+loadLayout();
+loadQuota();
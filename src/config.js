@@ -1,10 +1,53 @@
 // Centralized configuration for the extension
 self.CONFIG = {
-  ORIGIN: 'https://www.hattorihanzoshears.com',
   NOTIF_ICON: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/38HAAMBAQAYwF8RAAAAAElFTkSuQmCC',
   JOBS_KEY: 'hh_jobs_v1',
+  SITE_PROFILE_KEY: 'siteProfile', // site origin, selectors and label endpoints; see src/siteProfile.ts
   LABELS_KEY: 'hh_labels_v1',
   LOCK_KEY: 'hh_jobs_lock_v1',
+  LEASE_MS: 30000,        // processor lease lifetime unless renewed
+  LEASE_RENEW_MS: 10000,
+  JOB_STALL_MS: 120000,   // stop renewing if a job shows no progress this long
+  JOB_DEADLINE_MS: 180000, // an attempt still running after this is failed and its tab closed
+  HISTORY_KEY: 'hh_print_history_v1',
+  PENDING_PRINT_KEY: 'hh_pending_print_v1',
+  PRINT_LAYOUT_KEY: 'printLayout',
+  // mode: native | 1up | 2up | 4up; paper: letter | a4
+  // stamp draws order metadata in a band under each label, stampBarcode adds
+  // a Code128 of the visible order number, coverSheet prepends a manifest
+  DEFAULT_PRINT_LAYOUT: {
+    mode: 'native', paper: 'letter', marginIn: 0.25, cutMarks: false,
+    stamp: false, stampBarcode: false, coverSheet: false
+  },
+  HISTORY_RETENTION_KEY: 'historyRetention',
+  DEFAULT_HISTORY_RETENTION: 10,
+  // What to do with pending/retry jobs left over when the browser starts:
+  // off | ask (notification) | auto
+  STARTUP_RESUME_KEY: 'startupResume',
+  DEFAULT_STARTUP_RESUME: 'off',
+  CONCURRENCY_KEY: 'concurrency', // jobs processed side by side, one account tab each
+  DEFAULT_CONCURRENCY: 1,
+  MAX_CONCURRENCY: 4,
+  // Keep one pinned tab per worker and navigate it between account pages
+  // instead of opening and closing a tab for every job
+  REUSE_WORKER_TAB_KEY: 'reuseWorkerTab',
+  TAB_LOAD_MS: 30000,
+  TAB_PROBE_MS: 5000,
+  // Ship It! for an order that is already queued or has a label:
+  // skip | replace (drop the old job/label and queue again) | force
+  DEDUP_POLICY_KEY: 'dedupPolicy',
+  DEFAULT_DEDUP_POLICY: 'skip',
+  // Job kinds: which label a job produces and whether it ends in a PDF
+  JOB_KINDS: {
+    demo: { title: 'Demo label', pdf: true },
+    return: { title: 'Return label', pdf: true },
+    email: { title: 'Email return label', pdf: false }
+  },
+  DEFAULT_JOB_KIND_KEY: 'defaultJobKind', // kind used by Ship It!
+  DEFAULT_JOB_KIND: 'demo',
+  SENT_EMAILS_KEY: 'hh_sent_emails_v1',
+  SENT_EMAILS_KEPT: 50,
+  EMAIL_SETTLE_MS: 3000,  // let the site's email request go out before the tab closes
   MAX_TRIES: 3,
   HEARTBEAT_MIN: 0.25 // 15s
 };
@@ -1,5 +1,6 @@
 import { DemoLog } from '../../utils/demoFixLogger';
 import { DemoErr } from '../../utils/demoFixErrors';
+import { DEFAULT_SITE_PROFILE, SITE_PROFILE_KEY, fillSelector, normalizeSiteProfile } from '../../siteProfile';
 
 const sleep = (ms)=> new Promise(r=> setTimeout(r, ms));
 const txt   = (el)=> (el?.textContent || '').trim();
@@ -26,9 +27,11 @@ async function waitFor(predicate, label, timeout=25000, interval=150){
   throw err;
 }
 
-function findDemoSection(){
-  const boxes = [...document.querySelectorAll('.boxed')];
-  const box = boxes.find(b => /demo\s*shears/i.test(txt(b.querySelector('.title-bar h4, h4')) || ''));
+const squash = (s)=> (s || '').replace(/\s+/g, '').toLowerCase();
+
+function findDemoSection(profile){
+  const boxes = [...document.querySelectorAll(profile.demo.box)];
+  const box = boxes.find(b => squash(txt(b.querySelector('.title-bar h4, h4'))).includes(squash(profile.demo.title)));
   if (!box) {
     const err = new Error('Demo Shears section not found');
     err.code = DemoErr.DEMO_SECTION_MISSING;
@@ -42,11 +45,11 @@ function parseMDY(s){
   return m ? new Date(+m[3], +m[1]-1, +m[2]) : null;
 }
 
-function latestOpenOrder(demoBox){
+function latestOpenOrder(demoBox, profile){
   const rows = [...demoBox.querySelectorAll('table.table.table-striped tbody tr')];
   const O = rows.map(tr => {
     const td = tr.querySelectorAll('td');
-    if (td.length < 5 || txt(td[0]) !== 'O') return null;
+    if (td.length < 5 || txt(td[0]) !== profile.guards.orderType) return null;
     return { order: txt(td[1]).replace(/\D/g, ''), d: parseMDY(txt(td[4])) };
   }).filter(Boolean).sort((a,b) => (b.d?.getTime()||0) - (a.d?.getTime()||0));
 
@@ -58,7 +61,7 @@ function latestOpenOrder(demoBox){
   return O[0].order;
 }
 
-async function openOrder(orderNum){
+async function openOrder(orderNum, profile){
   DemoLog.group(`Open order #${orderNum}`);
   try {
     if (typeof window.GetOrder === 'function' && !window.yInReturn){
@@ -67,8 +70,8 @@ async function openOrder(orderNum){
     } else {
       DemoLog.debug('Falling back to row click');
       const rw =
-        document.querySelector(`.rwOrdr[onclick*="GetOrder(${orderNum}"]`) ||
-        [...document.querySelectorAll('.rwOrdr')].find(el => txt(el).includes('#' + orderNum));
+        document.querySelector(fillSelector(profile.orders.rowByOrder, { iorder: orderNum })) ||
+        [...document.querySelectorAll(profile.orders.row)].find(el => txt(el).includes('#' + orderNum));
       if (!rw) {
         const err = new Error('rwOrdr not found');
         err.code = DemoErr.ROW_CLICK_MISSING;
@@ -78,23 +81,24 @@ async function openOrder(orderNum){
     }
 
     await waitFor(()=> String(window.iOrder) === String(orderNum), `iOrder == ${orderNum}`);
-    const detailsId = 'O' + orderNum;
+    const detailsSel = fillSelector(profile.orders.panel, { iorder: orderNum });
     const details = await waitFor(()=>{
-      const el = document.getElementById(detailsId);
+      const el = document.querySelector(detailsSel);
       return el && isVis(el) && el.innerHTML.trim().length > 60 ? el : null;
-    }, `#${detailsId} visible+populated`, 25000);
+    }, `${detailsSel} visible+populated`, 25000);
     return details;
   } finally {
     DemoLog.groupEnd();
   }
 }
 
-function primeGuards(orderNum, details){
+function primeGuards(orderNum, details, profile){
+  const type = profile.guards.orderType;
   DemoLog.group('Prime guards');
   try {
-    try { window.cTrn = 'O'; } catch {}
-    const cTr = document.querySelector('#cTr');
-    if (cTr) cTr.innerHTML = 'O';
+    try { window.cTrn = type; } catch {}
+    const cTr = document.querySelector(profile.orders.orderTypeCell);
+    if (cTr) cTr.innerHTML = type;
 
     try { window.iOrder = orderNum; } catch {}
     const form = details.querySelector('form');
@@ -104,26 +108,23 @@ function primeGuards(orderNum, details){
         if (!el) { el = document.createElement('input'); el.type='hidden'; el.name=n; el.id=n; form.appendChild(el); }
         el.value = String(v);
       };
-      ['iOrder','currentOrder','selOrder','OrderID','orderId','order','order_id'].forEach(n => ensure(n, orderNum));
+      profile.guards.inputNames.forEach(n => ensure(n, orderNum));
     }
-    DemoLog.info('Guards primed: cTrn="O", iOrder=', orderNum);
+    DemoLog.info(`Guards primed: cTrn="${type}", iOrder=`, orderNum);
   } finally {
     DemoLog.groupEnd();
   }
 }
 
-function callViewDemoLabel(orderNum, details){
+function callViewDemoLabel(orderNum, details, profile){
+  const viewLabel = window[profile.label.viewFunction];
   let viaMenu = false;
   if (details) {
     try {
-      const btn = details.querySelector('.btn-group .dropdown-toggle');
+      const btn = details.querySelector(profile.label.menuToggle);
       if (btn) {
         btn.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
-        const menuItem = details.querySelector(
-          'li[data-demoaction] a[onclick*="viewDemoLabel"], '
-          + 'li[data-demoaction] a[href*="viewDemoLabel"], '
-          + 'a[onclick*="viewDemoLabel"], a[href*="viewDemoLabel"]'
-        );
+        const menuItem = details.querySelector(profile.label.menuItem);
         if (menuItem) {
           DemoLog.info('Clicking View Demo Label via menu');
           let href = (menuItem.getAttribute('href') || '').trim().toLowerCase();
@@ -141,12 +142,12 @@ function callViewDemoLabel(orderNum, details){
           menuItem.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
           // If the menu item lacks an onclick handler, manually invoke
           // viewDemoLabel and ensure the label opens in a new tab.
-          if (!hasOnClick && typeof window.viewDemoLabel === 'function') {
+          if (!hasOnClick && typeof viewLabel === 'function') {
             try {
               const before = location.href;
-              window.viewDemoLabel();
+              viewLabel.call(window);
               const after = location.href;
-              if (after !== before && after.toLowerCase().includes('shippinglabeldemo.cfm')) {
+              if (after !== before && new RegExp(profile.label.labelPage, 'i').test(after)) {
                 window.open(after, '_blank', 'noopener');
                 try { history.replaceState(null, '', before); } catch {}
               }
@@ -163,7 +164,7 @@ function callViewDemoLabel(orderNum, details){
   }
 
   if (!viaMenu) {
-    if (typeof window.viewDemoLabel !== 'function'){
+    if (typeof viewLabel !== 'function'){
       const err = new Error('viewDemoLabel() missing');
       err.code = DemoErr.VIEW_FN_MISSING;
       throw err;
@@ -171,22 +172,39 @@ function callViewDemoLabel(orderNum, details){
     const _alert = window.alert;
     window.alert = (m)=>{ DemoLog.warn('[ALERT]', m); try { return _alert(m); } catch {} };
     DemoLog.info(`Calling viewDemoLabel() for order #${orderNum}`);
-    window.viewDemoLabel();
+    viewLabel.call(window);
+  }
+}
+
+// The profile saved on the options page, or the defaults when none is saved,
+// it no longer validates, or extension storage is not reachable.
+async function loadStoredProfile(){
+  const area = globalThis.chrome?.storage?.local;
+  if (!area) return DEFAULT_SITE_PROFILE;
+  try {
+    const stored = (await area.get(SITE_PROFILE_KEY))[SITE_PROFILE_KEY];
+    return stored ? normalizeSiteProfile(stored) : DEFAULT_SITE_PROFILE;
+  } catch (e) {
+    DemoLog.warn('stored site profile unusable; using defaults', e);
+    return DEFAULT_SITE_PROFILE;
   }
 }
 
-export async function ensureDemoLabelFlow(){
+// `profile` is the site profile to use (see src/siteProfile.ts); without one
+// the stored profile is loaded.
+export async function ensureDemoLabelFlow(profile){
   DemoLog.time('ensureDemoLabelFlow');
   try {
+    profile = profile || await loadStoredProfile();
     DemoLog.group('Find latest demo order');
-    const box = findDemoSection();
-    const orderNum = latestOpenOrder(box);
+    const box = findDemoSection(profile);
+    const orderNum = latestOpenOrder(box, profile);
     DemoLog.info('Target order:', orderNum);
     DemoLog.groupEnd();
 
-    const details = await openOrder(orderNum);
-    primeGuards(orderNum, details);
-    callViewDemoLabel(orderNum, details);
+    const details = await openOrder(orderNum, profile);
+    primeGuards(orderNum, details, profile);
+    callViewDemoLabel(orderNum, details, profile);
 
     DemoLog.event('success', { orderNum });
     return { ok: true, orderNum };
@@ -199,12 +217,13 @@ export async function ensureDemoLabelFlow(){
   }
 }
 
-export async function viewDemoLabelForOrder(orderNum){
+export async function viewDemoLabelForOrder(orderNum, profile){
   DemoLog.time('viewDemoLabelForOrder');
   try {
-    const details = await openOrder(orderNum);
-    primeGuards(orderNum, details);
-    callViewDemoLabel(orderNum, details);
+    profile = profile || await loadStoredProfile();
+    const details = await openOrder(orderNum, profile);
+    primeGuards(orderNum, details, profile);
+    callViewDemoLabel(orderNum, details, profile);
     DemoLog.event('success', { orderNum });
     return { ok: true, orderNum };
   } catch (err) {
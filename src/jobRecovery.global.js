@@ -0,0 +1,15 @@
+// Orphaned/stalled processing job detection; mirrors src/jobRecovery.ts
+(function(global){
+  function findOrphanedJobs(jobs, opts){
+    var abandoned = [];
+    var stalled = [];
+    jobs.forEach(function(job){
+      if (job.status !== 'processing') return;
+      var attempt = job.owner === opts.workerId ? opts.attempts.get(job.jobId) : undefined;
+      if (!attempt) abandoned.push(job);
+      else if (opts.now - attempt.progressAt > opts.stallMs) stalled.push(job);
+    });
+    return { abandoned: abandoned, stalled: stalled };
+  }
+  global.findOrphanedJobs = findOrphanedJobs;
+})(self);
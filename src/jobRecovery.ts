@@ -0,0 +1,35 @@
+export interface ProcessingJob {
+  jobId: string;
+  status: string;
+  owner?: string;
+}
+
+export interface LiveAttempt {
+  progressAt: number;
+}
+
+export interface OrphanScan<T> {
+  // Left behind by a worker that is gone; nothing will ever finish them.
+  abandoned: T[];
+  // Still driven by an attempt in this worker that has made no progress for
+  // stallMs; the attempt has to be aborted so its slot is freed.
+  stalled: T[];
+}
+
+// Sort jobs marked processing by whether anything is still working on them.
+// A job counts as live only when this worker owns it, has an attempt for it,
+// and that attempt moved within the last `stallMs`.
+export function findOrphanedJobs<T extends ProcessingJob>(
+  jobs: T[],
+  opts: { workerId: string; attempts: Map<string, LiveAttempt>; now: number; stallMs: number }
+): OrphanScan<T> {
+  const abandoned: T[] = [];
+  const stalled: T[] = [];
+  for (const job of jobs) {
+    if (job.status !== 'processing') continue;
+    const attempt = job.owner === opts.workerId ? opts.attempts.get(job.jobId) : undefined;
+    if (!attempt) abandoned.push(job);
+    else if (opts.now - attempt.progressAt > opts.stallMs) stalled.push(job);
+  }
+  return { abandoned, stalled };
+}
@@ -0,0 +1,80 @@
+// N-up sheet geometry for merged labels; mirrors src/labelLayout.ts
+(function(global){
+  var SHEETS = {
+    letter: [612, 792],
+    a4: [595.28, 841.89]
+  };
+
+  var GRIDS = {
+    '1up': { cols: 1, rows: 1, landscape: false },
+    '2up': { cols: 2, rows: 1, landscape: true },
+    '4up': { cols: 2, rows: 2, landscape: false }
+  };
+
+  function sheetSize(paper, landscape){
+    var size = SHEETS[paper] || SHEETS.letter;
+    return landscape ? [size[1], size[0]] : [size[0], size[1]];
+  }
+
+  function gridCells(sheetW, sheetH, grid, margin){
+    var width = (sheetW - margin * (grid.cols + 1)) / grid.cols;
+    var height = (sheetH - margin * (grid.rows + 1)) / grid.rows;
+    var cells = [];
+    for (var r = 0; r < grid.rows; r++) {
+      for (var c = 0; c < grid.cols; c++) {
+        cells.push({
+          x: margin + c * (width + margin),
+          y: sheetH - (r + 1) * (height + margin),
+          width: width,
+          height: height
+        });
+      }
+    }
+    return cells;
+  }
+
+  function fitRect(srcW, srcH, cell){
+    var scale = Math.min(cell.width / srcW, cell.height / srcH);
+    var width = srcW * scale;
+    var height = srcH * scale;
+    return {
+      x: cell.x + (cell.width - width) / 2,
+      y: cell.y + (cell.height - height) / 2,
+      width: width,
+      height: height
+    };
+  }
+
+  function cutMarks(rect, length, gap){
+    var left = rect.x;
+    var right = rect.x + rect.width;
+    var bottom = rect.y;
+    var top = rect.y + rect.height;
+    var marks = [];
+    [left, right].forEach(function(x){
+      var dir = x === left ? -1 : 1;
+      [bottom, top].forEach(function(y){
+        var vdir = y === bottom ? -1 : 1;
+        marks.push([x + dir * gap, y, x + dir * (gap + length), y]);
+        marks.push([x, y + vdir * gap, x, y + vdir * (gap + length)]);
+      });
+    });
+    return marks;
+  }
+
+  var BARCODE_QUIET_MODULES = 10;
+  var BARCODE_MIN_MODULE_PT = 0.72;
+  var BARCODE_MAX_MODULE_PT = 1.44;
+
+  function barcodeFit(modules, width){
+    var total = modules + 2 * BARCODE_QUIET_MODULES;
+    var module = Math.min(BARCODE_MAX_MODULE_PT, width / total);
+    if (module < BARCODE_MIN_MODULE_PT) return null;
+    return { module: module, quiet: BARCODE_QUIET_MODULES * module, width: total * module };
+  }
+
+  global.LabelLayout = {
+    SHEETS: SHEETS, GRIDS: GRIDS, sheetSize: sheetSize, gridCells: gridCells, fitRect: fitRect, cutMarks: cutMarks,
+    barcodeFit: barcodeFit
+  };
+})(self);
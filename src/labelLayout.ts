@@ -0,0 +1,106 @@
+export type Paper = 'letter' | 'a4';
+export type LayoutMode = 'native' | '1up' | '2up' | '4up';
+
+export interface Rect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface Grid {
+  cols: number;
+  rows: number;
+  landscape: boolean;
+}
+
+// Sheet sizes in PDF points (1/72 inch), portrait.
+export const SHEETS: Record<Paper, [number, number]> = {
+  letter: [612, 792],
+  a4: [595.28, 841.89]
+};
+
+// 'native' copies label pages one-to-one (4x6 thermal printers).
+export const GRIDS: Record<Exclude<LayoutMode, 'native'>, Grid> = {
+  '1up': { cols: 1, rows: 1, landscape: false },
+  '2up': { cols: 2, rows: 1, landscape: true },
+  '4up': { cols: 2, rows: 2, landscape: false }
+};
+
+export function sheetSize(paper: Paper, landscape: boolean): [number, number] {
+  const [w, h] = SHEETS[paper] || SHEETS.letter;
+  return landscape ? [h, w] : [w, h];
+}
+
+// Split a sheet into cols x rows cells separated by `margin` on every side.
+// Cells are returned in reading order (top-left first) in PDF coordinates,
+// whose origin is the bottom-left corner.
+export function gridCells(sheetW: number, sheetH: number, grid: Grid, margin: number): Rect[] {
+  const width = (sheetW - margin * (grid.cols + 1)) / grid.cols;
+  const height = (sheetH - margin * (grid.rows + 1)) / grid.rows;
+  const cells: Rect[] = [];
+  for (let r = 0; r < grid.rows; r++) {
+    for (let c = 0; c < grid.cols; c++) {
+      cells.push({
+        x: margin + c * (width + margin),
+        y: sheetH - (r + 1) * (height + margin),
+        width,
+        height
+      });
+    }
+  }
+  return cells;
+}
+
+// Scale a source page to fit inside `cell`, preserving aspect ratio and
+// centring it.
+export function fitRect(srcW: number, srcH: number, cell: Rect): Rect {
+  const scale = Math.min(cell.width / srcW, cell.height / srcH);
+  const width = srcW * scale;
+  const height = srcH * scale;
+  return {
+    x: cell.x + (cell.width - width) / 2,
+    y: cell.y + (cell.height - height) / 2,
+    width,
+    height
+  };
+}
+
+// Code128 needs a blank quiet zone of at least 10 modules on each side, and
+// scanners miss bars narrower than about 10 mil (0.72pt).
+export const BARCODE_QUIET_MODULES = 10;
+export const BARCODE_MIN_MODULE_PT = 0.72;
+export const BARCODE_MAX_MODULE_PT = 1.44;
+
+export interface BarcodeFit {
+  module: number; // width of one module
+  quiet: number;  // quiet zone on each side
+  width: number;  // bars plus both quiet zones
+}
+
+// Size a barcode of `modules` modules (bars and spaces) to `width`, quiet
+// zones included. Null when even the minimum module width does not fit.
+export function barcodeFit(modules: number, width: number): BarcodeFit | null {
+  const total = modules + 2 * BARCODE_QUIET_MODULES;
+  const module = Math.min(BARCODE_MAX_MODULE_PT, width / total);
+  if (module < BARCODE_MIN_MODULE_PT) return null;
+  return { module, quiet: BARCODE_QUIET_MODULES * module, width: total * module };
+}
+
+// Corner cut marks drawn just outside `rect`, as [x1, y1, x2, y2] segments.
+export function cutMarks(rect: Rect, length: number, gap: number): Array<[number, number, number, number]> {
+  const left = rect.x;
+  const right = rect.x + rect.width;
+  const bottom = rect.y;
+  const top = rect.y + rect.height;
+  const marks: Array<[number, number, number, number]> = [];
+  for (const x of [left, right]) {
+    const dir = x === left ? -1 : 1;
+    for (const y of [bottom, top]) {
+      const vdir = y === bottom ? -1 : 1;
+      marks.push([x + dir * gap, y, x + dir * (gap + length), y]);
+      marks.push([x, y + vdir * gap, x, y + vdir * (gap + length)]);
+    }
+  }
+  return marks;
+}
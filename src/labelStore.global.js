@@ -0,0 +1,77 @@
+// IndexedDB store for label and print-history PDF bytes; mirrors src/labelStore.ts
+(function(global){
+  var DB_NAME = 'hh_label_store';
+  var DB_VERSION = 1;
+  var LABELS = 'labels';   // demoOrder -> ArrayBuffer
+  var BATCHES = 'batches'; // batchId -> { merged: ArrayBuffer, labels: { demoOrder: ArrayBuffer } }
+  var dbPromise = null;
+
+  function open(){
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(function(resolve, reject){
+      var req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = function(){
+        var db = req.result;
+        if (!db.objectStoreNames.contains(LABELS)) db.createObjectStore(LABELS);
+        if (!db.objectStoreNames.contains(BATCHES)) db.createObjectStore(BATCHES);
+      };
+      req.onsuccess = function(){
+        var db = req.result;
+        // Another context upgrading the schema closes us; reopen lazily.
+        db.onversionchange = function(){ db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      req.onerror = function(){ dbPromise = null; reject(req.error); };
+    });
+    return dbPromise;
+  }
+
+  // Run `fn(store)` in a transaction and resolve with the value of the request
+  // it returns (if any) once the transaction commits.
+  function run(storeName, mode, fn){
+    return open().then(function(db){
+      return new Promise(function(resolve, reject){
+        var tx = db.transaction(storeName, mode);
+        var req = fn(tx.objectStore(storeName));
+        tx.oncomplete = function(){ resolve(req ? req.result : undefined); };
+        tx.onerror = function(){ reject(tx.error); };
+        tx.onabort = function(){ reject(tx.error || new Error('IndexedDB transaction aborted')); };
+      });
+    });
+  }
+
+  function deleteKeys(storeName, keys){
+    return run(storeName, 'readwrite', function(store){
+      (keys || []).forEach(function(k){ store.delete(k); });
+    });
+  }
+
+  global.LabelStore = {
+    putLabel: function(demoOrder, bytes){
+      return run(LABELS, 'readwrite', function(store){ return store.put(bytes, String(demoOrder)); });
+    },
+    getLabel: function(demoOrder){
+      return run(LABELS, 'readonly', function(store){ return store.get(String(demoOrder)); })
+        .then(function(v){ return v || null; });
+    },
+    deleteLabels: function(demoOrders){
+      return deleteKeys(LABELS, (demoOrders || []).map(String));
+    },
+    clearLabels: function(){
+      return run(LABELS, 'readwrite', function(store){ return store.clear(); });
+    },
+    labelKeys: function(){
+      return run(LABELS, 'readonly', function(store){ return store.getAllKeys(); });
+    },
+    putBatch: function(batchId, record){
+      return run(BATCHES, 'readwrite', function(store){ return store.put(record, batchId); });
+    },
+    getBatch: function(batchId){
+      return run(BATCHES, 'readonly', function(store){ return store.get(batchId); })
+        .then(function(v){ return v || null; });
+    },
+    deleteBatches: function(batchIds){
+      return deleteKeys(BATCHES, batchIds);
+    }
+  };
+})(self);
@@ -0,0 +1,77 @@
+// IndexedDB store for label and print-history PDF bytes. chrome.storage.local
+// keeps only metadata so queue reads/writes stay small. Shared by the service
+// worker and the popup (same extension origin, same database).
+const DB_NAME = 'hh_label_store';
+const DB_VERSION = 1;
+const LABELS = 'labels';   // demoOrder -> ArrayBuffer
+const BATCHES = 'batches'; // batchId -> BatchRecord
+
+export interface BatchRecord {
+  merged: ArrayBuffer;
+  labels: Record<string, ArrayBuffer>;
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+function open(): Promise<IDBDatabase> {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(LABELS)) db.createObjectStore(LABELS);
+      if (!db.objectStoreNames.contains(BATCHES)) db.createObjectStore(BATCHES);
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another context upgrading the schema closes us; reopen lazily.
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+// Run `fn(store)` in a transaction and resolve with the value of the request
+// it returns (if any) once the transaction commits.
+function run<T>(storeName: string, mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T> | void): Promise<T | undefined> {
+  return open().then(db => new Promise<T | undefined>((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  }));
+}
+
+function deleteKeys(storeName: string, keys: string[]): Promise<void> {
+  return run(storeName, 'readwrite', store => { keys.forEach(k => store.delete(k)); }).then(() => undefined);
+}
+
+export const LabelStore = {
+  putLabel(demoOrder: string | number, bytes: ArrayBuffer) {
+    return run(LABELS, 'readwrite', store => store.put(bytes, String(demoOrder)));
+  },
+  getLabel(demoOrder: string | number): Promise<ArrayBuffer | null> {
+    return run<ArrayBuffer>(LABELS, 'readonly', store => store.get(String(demoOrder))).then(v => v || null);
+  },
+  deleteLabels(demoOrders: Array<string | number>) {
+    return deleteKeys(LABELS, (demoOrders || []).map(String));
+  },
+  clearLabels() {
+    return run(LABELS, 'readwrite', store => store.clear()).then(() => undefined);
+  },
+  labelKeys() {
+    return run(LABELS, 'readonly', store => store.getAllKeys()).then(keys => (keys || []).map(String));
+  },
+  putBatch(batchId: string, record: BatchRecord) {
+    return run(BATCHES, 'readwrite', store => store.put(record, batchId));
+  },
+  getBatch(batchId: string): Promise<BatchRecord | null> {
+    return run<BatchRecord>(BATCHES, 'readonly', store => store.get(batchId)).then(v => v || null);
+  },
+  deleteBatches(batchIds: string[]) {
+    return deleteKeys(BATCHES, batchIds || []);
+  }
+};
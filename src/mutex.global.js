@@ -0,0 +1,17 @@
+// In-memory promise-chain mutex; mirrors src/mutex.ts
+(function(global){
+  function createMutex(){
+    var tail = Promise.resolve();
+    var pending = 0;
+    return {
+      get locked(){ return pending > 0; },
+      run: function(fn){
+        pending++;
+        var result = tail.then(fn);
+        tail = result.then(function(){ pending--; }, function(){ pending--; });
+        return result;
+      }
+    };
+  }
+  global.createMutex = createMutex;
+})(self);
@@ -0,0 +1,20 @@
+export interface Mutex {
+  readonly locked: boolean;
+  run<T>(fn: () => T | Promise<T>): Promise<T>;
+}
+
+// Promise-chain mutex: callers run strictly one after another in call order.
+// A rejected task does not block the ones queued behind it.
+export function createMutex(): Mutex {
+  let tail: Promise<unknown> = Promise.resolve();
+  let pending = 0;
+  return {
+    get locked() { return pending > 0; },
+    run<T>(fn: () => T | Promise<T>): Promise<T> {
+      pending++;
+      const result = tail.then(fn);
+      tail = result.then(() => { pending--; }, () => { pending--; });
+      return result;
+    }
+  };
+}
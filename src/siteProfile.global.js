@@ -0,0 +1,127 @@
+// Versioned site profile (selectors, label endpoints, origin); mirrors src/siteProfile.ts
+(function(global){
+  var VERSION = 1;
+
+  var DEFAULT = {
+    version: VERSION,
+    origin: 'https://www.hattorihanzoshears.com',
+    ship: {
+      button: '#SI',
+      modal: '.modal-content',
+      accountLink: '#Cust0',
+      orderNumber: '#iOrd1'
+    },
+    orders: {
+      accountPage: '/AccountInfo\\.cfm\\?',
+      box: '#orders_notes_snaps',
+      tab: '#orders_tab',
+      accordion: '#accordion',
+      row: '.rwOrdr',
+      rowByOrder: '.rwOrdr[onclick*="GetOrder({iorder}"]',
+      orderLink: 'a[href*="my_inventory.cfm"][href*="iorder="]',
+      panel: '#O{iorder}',
+      panelReady: '#Ord1, #TItems',
+      orderTypeCell: '#cTr'
+    },
+    demo: {
+      title: 'Demo Shears',
+      box: '.boxed'
+    },
+    label: {
+      menuToggle: '.btn-group .dropdown-toggle',
+      menuItem: 'li[data-demoaction] a[onclick*="viewDemoLabel"], li[data-demoaction] a[href*="viewDemoLabel"], '
+        + 'a[onclick*="viewDemoLabel"], a[href*="viewDemoLabel"]',
+      controls: [
+        '.view-demo-label',
+        'button[data-action="demo-label"]',
+        'a[href*="DemoLabel" i]',
+        'li[data-demoaction] a[onclick*="viewDemoLabel"], li[data-demoaction] a[href*="viewDemoLabel"]'
+      ],
+      viewFunction: 'viewDemoLabel',
+      returnFunction: 'viewReturnLabel',
+      returnMenuItem: 'a[onclick*="viewReturnLabel"], a[href*="viewReturnLabel"]',
+      emailFunction: 'sendReturnLabel',
+      emailMenuItem: 'a[onclick*="sendReturnLabel"], a[href*="sendReturnLabel"]',
+      labelPage: 'shippingLabelDemo\\.cfm|DemoLabel\\.cfm',
+      placeholderUrl: '[?&]batchnum=$'
+    },
+    guards: {
+      orderType: 'O',
+      inputNames: ['iOrder', 'currentOrder', 'selOrder', 'OrderID', 'orderId', 'order', 'order_id']
+    }
+  };
+
+  var REGEX_FIELDS = [['orders', 'accountPage'], ['label', 'labelPage'], ['label', 'placeholderUrl']];
+
+  function isPlainObject(v){
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  function sameShape(value, def){
+    if (Array.isArray(def)) {
+      if (!Array.isArray(value)) return false;
+      return !def.length || value.every(function(v){ return sameShape(v, def[0]); });
+    }
+    return typeof value === typeof def;
+  }
+
+  function normalize(input){
+    if (!isPlainObject(input)) throw new Error('Site profile must be a JSON object');
+    if (input.version !== VERSION) {
+      throw new Error('Unsupported site profile version: ' + String(input.version) + ' (expected ' + VERSION + ')');
+    }
+    var origin = input.origin === undefined ? DEFAULT.origin : input.origin;
+    if (typeof origin !== 'string' || !/^https?:\/\/[^/]+\/?$/.test(origin)) {
+      throw new Error('Site profile origin must look like https://host');
+    }
+    var out = { version: VERSION, origin: origin.replace(/\/$/, '') };
+    Object.keys(DEFAULT).forEach(function(section){
+      if (section === 'version' || section === 'origin') return;
+      var given = input[section] === undefined ? {} : input[section];
+      if (!isPlainObject(given)) throw new Error('Site profile ' + section + ' must be an object');
+      var merged = {};
+      Object.keys(DEFAULT[section]).forEach(function(key){
+        var def = DEFAULT[section][key];
+        var value = given[key] === undefined ? def : given[key];
+        if (!sameShape(value, def)) throw new Error('Site profile ' + section + '.' + key + ' has the wrong type');
+        merged[key] = value;
+      });
+      out[section] = merged;
+    });
+    REGEX_FIELDS.forEach(function(field){
+      try {
+        new RegExp(out[field[0]][field[1]], 'i');
+      } catch (e) {
+        throw new Error('Site profile ' + field[0] + '.' + field[1] + ' is not a valid regular expression: ' + e.message);
+      }
+    });
+    return out;
+  }
+
+  function labelAction(profile, kind){
+    switch (kind) {
+      case 'demo': return { fn: profile.label.viewFunction, menuItem: profile.label.menuItem };
+      case 'return': return { fn: profile.label.returnFunction, menuItem: profile.label.returnMenuItem };
+      case 'email': return { fn: profile.label.emailFunction, menuItem: profile.label.emailMenuItem };
+      default: throw new Error('Unknown job kind: ' + String(kind));
+    }
+  }
+
+  function labelFunctions(profile, kinds){
+    var seen = [];
+    kinds.forEach(function(kind){
+      var fn = labelAction(profile, kind).fn;
+      if (seen.indexOf(fn) === -1) seen.push(fn);
+    });
+    return seen;
+  }
+
+  function fillSelector(template, vars){
+    return template.replace(/\{(\w+)\}/g, function(m, name){ return name in vars ? String(vars[name]) : m; });
+  }
+
+  global.SiteProfile = {
+    VERSION: VERSION, DEFAULT: DEFAULT, normalize: normalize, labelAction: labelAction,
+    labelFunctions: labelFunctions, fillSelector: fillSelector
+  };
+})(self);
@@ -0,0 +1,176 @@
+// Everything the extension knows about the shop admin's markup and label
+// endpoints, in one versioned object. Content script, background and the demo
+// flow all read the stored copy, so a site redesign is fixed by editing the
+// profile on the options page rather than shipping a build. Selectors may
+// contain `{iorder}`, filled in by fillSelector.
+export const SITE_PROFILE_VERSION = 1;
+// chrome.storage.local key of the saved profile (CONFIG.SITE_PROFILE_KEY)
+export const SITE_PROFILE_KEY = 'siteProfile';
+
+export interface SiteProfile {
+  version: number;
+  origin: string;
+  ship: {
+    button: string;
+    modal: string;
+    accountLink: string;
+    orderNumber: string;
+  };
+  orders: {
+    accountPage: string;
+    box: string;
+    tab: string;
+    accordion: string;
+    row: string;
+    rowByOrder: string;
+    orderLink: string;
+    panel: string;
+    panelReady: string;
+    orderTypeCell: string;
+  };
+  demo: {
+    title: string;
+    box: string;
+  };
+  label: {
+    menuToggle: string;
+    menuItem: string;
+    controls: string[];
+    viewFunction: string;
+    returnFunction: string;
+    returnMenuItem: string;
+    emailFunction: string;
+    emailMenuItem: string;
+    labelPage: string;
+    placeholderUrl: string;
+  };
+  guards: {
+    orderType: string;
+    inputNames: string[];
+  };
+}
+
+export const DEFAULT_SITE_PROFILE: SiteProfile = {
+  version: SITE_PROFILE_VERSION,
+  origin: 'https://www.hattorihanzoshears.com',
+  ship: {
+    button: '#SI',
+    modal: '.modal-content',
+    accountLink: '#Cust0',
+    orderNumber: '#iOrd1'
+  },
+  orders: {
+    // regex source matched against the path and query of the account page
+    accountPage: '/AccountInfo\\.cfm\\?',
+    box: '#orders_notes_snaps',
+    tab: '#orders_tab',
+    accordion: '#accordion',
+    row: '.rwOrdr',
+    rowByOrder: '.rwOrdr[onclick*="GetOrder({iorder}"]',
+    orderLink: 'a[href*="my_inventory.cfm"][href*="iorder="]',
+    panel: '#O{iorder}',
+    panelReady: '#Ord1, #TItems',
+    orderTypeCell: '#cTr'
+  },
+  demo: {
+    title: 'Demo Shears',
+    box: '.boxed'
+  },
+  label: {
+    menuToggle: '.btn-group .dropdown-toggle',
+    menuItem: 'li[data-demoaction] a[onclick*="viewDemoLabel"], li[data-demoaction] a[href*="viewDemoLabel"], '
+      + 'a[onclick*="viewDemoLabel"], a[href*="viewDemoLabel"]',
+    controls: [
+      '.view-demo-label',
+      'button[data-action="demo-label"]',
+      'a[href*="DemoLabel" i]',
+      'li[data-demoaction] a[onclick*="viewDemoLabel"], li[data-demoaction] a[href*="viewDemoLabel"]'
+    ],
+    viewFunction: 'viewDemoLabel',
+    returnFunction: 'viewReturnLabel',
+    returnMenuItem: 'a[onclick*="viewReturnLabel"], a[href*="viewReturnLabel"]',
+    emailFunction: 'sendReturnLabel',
+    emailMenuItem: 'a[onclick*="sendReturnLabel"], a[href*="sendReturnLabel"]',
+    // regex sources, matched case-insensitively against URLs
+    labelPage: 'shippingLabelDemo\\.cfm|DemoLabel\\.cfm',
+    placeholderUrl: '[?&]batchnum=$'
+  },
+  guards: {
+    orderType: 'O',
+    inputNames: ['iOrder', 'currentOrder', 'selOrder', 'OrderID', 'orderId', 'order', 'order_id']
+  }
+};
+
+function isPlainObject(v: unknown): v is Record<string, unknown> {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function sameShape(value: unknown, def: unknown): boolean {
+  if (Array.isArray(def)) {
+    if (!Array.isArray(value)) return false;
+    return !def.length || value.every(v => sameShape(v, def[0]));
+  }
+  return typeof value === typeof def;
+}
+
+// [section, key] of fields compiled with new RegExp(..., 'i') wherever they are used
+const REGEX_FIELDS = [['orders', 'accountPage'], ['label', 'labelPage'], ['label', 'placeholderUrl']];
+
+// Validate a stored or imported profile and fill anything it leaves out from
+// the defaults. Throws naming the first offending field.
+export function normalizeSiteProfile(input: unknown): SiteProfile {
+  if (!isPlainObject(input)) throw new Error('Site profile must be a JSON object');
+  if (input.version !== SITE_PROFILE_VERSION) {
+    throw new Error(`Unsupported site profile version: ${String(input.version)} (expected ${SITE_PROFILE_VERSION})`);
+  }
+  const origin = input.origin === undefined ? DEFAULT_SITE_PROFILE.origin : input.origin;
+  if (typeof origin !== 'string' || !/^https?:\/\/[^/]+\/?$/.test(origin)) {
+    throw new Error('Site profile origin must look like https://host');
+  }
+  const out: Record<string, unknown> = { version: SITE_PROFILE_VERSION, origin: origin.replace(/\/$/, '') };
+  const defaults = DEFAULT_SITE_PROFILE as unknown as Record<string, Record<string, unknown>>;
+  for (const section of Object.keys(defaults)) {
+    if (section === 'version' || section === 'origin') continue;
+    const given = input[section] === undefined ? {} : input[section];
+    if (!isPlainObject(given)) throw new Error(`Site profile ${section} must be an object`);
+    const merged: Record<string, unknown> = {};
+    for (const key of Object.keys(defaults[section])) {
+      const def = defaults[section][key];
+      const value = given[key] === undefined ? def : given[key];
+      if (!sameShape(value, def)) throw new Error(`Site profile ${section}.${key} has the wrong type`);
+      merged[key] = value;
+    }
+    out[section] = merged;
+  }
+  for (const [section, key] of REGEX_FIELDS) {
+    try {
+      new RegExp((out[section] as Record<string, string>)[key], 'i');
+    } catch (e) {
+      throw new Error(`Site profile ${section}.${key} is not a valid regular expression: ${(e as Error).message}`);
+    }
+  }
+  return out as unknown as SiteProfile;
+}
+
+export type JobKind = 'demo' | 'return' | 'email';
+
+// Page function and order-menu item that produce a job kind's label.
+export function labelAction(profile: SiteProfile, kind: JobKind): { fn: string; menuItem: string } {
+  switch (kind) {
+    case 'demo': return { fn: profile.label.viewFunction, menuItem: profile.label.menuItem };
+    case 'return': return { fn: profile.label.returnFunction, menuItem: profile.label.returnMenuItem };
+    case 'email': return { fn: profile.label.emailFunction, menuItem: profile.label.emailMenuItem };
+    default: throw new Error(`Unknown job kind: ${String(kind)}`);
+  }
+}
+
+// Page function of each of `kinds`, in that order (duplicates removed). The
+// kind list itself lives in CONFIG.JOB_KINDS.
+export function labelFunctions(profile: SiteProfile, kinds: JobKind[]): string[] {
+  return [...new Set(kinds.map(kind => labelAction(profile, kind).fn))];
+}
+
+// Substitute `{name}` placeholders, e.g. fillSelector('#O{iorder}', { iorder: 12 }).
+export function fillSelector(template: string, vars: Record<string, string | number>): string {
+  return template.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
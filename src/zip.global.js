@@ -0,0 +1,95 @@
+// Minimal stored (uncompressed) ZIP writer; mirrors src/zip.ts
+(function(global){
+  var crcTable = null;
+
+  function getCrcTable(){
+    if (crcTable) return crcTable;
+    crcTable = new Uint32Array(256);
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+    return crcTable;
+  }
+
+  function crc32(data){
+    var table = getCrcTable();
+    var crc = 0xffffffff;
+    for (var i = 0; i < data.length; i++) crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function dosDateTime(d){
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+
+  function createZip(entries){
+    var encoder = new TextEncoder();
+    var parts = [];
+    var centrals = [];
+    var offset = 0;
+
+    entries.forEach(function(entry){
+      var name = encoder.encode(entry.name);
+      var dt = dosDateTime(entry.date || new Date());
+      var crc = crc32(entry.data);
+      var size = entry.data.length;
+
+      var local = new Uint8Array(30 + name.length + size);
+      var lv = new DataView(local.buffer);
+      lv.setUint32(0, 0x04034b50, true);
+      lv.setUint16(4, 20, true);
+      lv.setUint16(6, 0x0800, true);
+      lv.setUint16(10, dt.time, true);
+      lv.setUint16(12, dt.date, true);
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, size, true);
+      lv.setUint32(22, size, true);
+      lv.setUint16(26, name.length, true);
+      local.set(name, 30);
+      local.set(entry.data, 30 + name.length);
+      parts.push(local);
+
+      var central = new Uint8Array(46 + name.length);
+      var cv = new DataView(central.buffer);
+      cv.setUint32(0, 0x02014b50, true);
+      cv.setUint16(4, 20, true);
+      cv.setUint16(6, 20, true);
+      cv.setUint16(8, 0x0800, true);
+      cv.setUint16(12, dt.time, true);
+      cv.setUint16(14, dt.date, true);
+      cv.setUint32(16, crc, true);
+      cv.setUint32(20, size, true);
+      cv.setUint32(24, size, true);
+      cv.setUint16(28, name.length, true);
+      cv.setUint32(42, offset, true);
+      central.set(name, 46);
+      centrals.push(central);
+
+      offset += local.length;
+    });
+
+    var centralSize = centrals.reduce(function(n, c){ return n + c.length; }, 0);
+    var end = new Uint8Array(22);
+    var ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    var out = new Uint8Array(offset + centralSize + end.length);
+    var pos = 0;
+    parts.concat(centrals, [end]).forEach(function(part){
+      out.set(part, pos);
+      pos += part.length;
+    });
+    return out;
+  }
+
+  global.createZip = createZip;
+})(self);
@@ -0,0 +1,17 @@
+import { PATTERNS, code128Values, code128Widths } from '../src/code128';
+
+describe('code128', () => {
+  it('has 11-module symbols and a 13-module stop', () => {
+    PATTERNS.slice(0, 106).forEach(p => expect(Array.from(p, Number).reduce((a, b) => a + b, 0)).toBe(11));
+    expect(Array.from(PATTERNS[106], Number).reduce((a, b) => a + b, 0)).toBe(13);
+  });
+
+  it('encodes with start B, checksum and stop', () => {
+    expect(code128Values('12345')).toEqual([104, 17, 18, 19, 20, 21, 90, 106]);
+  });
+
+  it('produces bar/space widths for every symbol', () => {
+    expect(code128Widths('1')).toHaveLength(6 * 3 + 7);
+    expect(() => code128Widths('\n')).toThrow();
+  });
+});
@@ -0,0 +1,39 @@
+import { findOrphanedJobs } from '../src/jobRecovery';
+
+describe('findOrphanedJobs', () => {
+  const now = 1_000_000;
+  const opts = (attempts: Record<string, number>) => ({
+    workerId: 'sw_me',
+    attempts: new Map(Object.entries(attempts).map(([id, progressAt]) => [id, { progressAt }])),
+    now,
+    stallMs: 120000
+  });
+
+  it('leaves jobs alone while this worker is making progress on them', () => {
+    const jobs = [
+      { jobId: 'a', status: 'processing', owner: 'sw_me' },
+      { jobId: 'b', status: 'pending' }
+    ];
+    expect(findOrphanedJobs(jobs, opts({ a: now - 5000 }))).toEqual({ abandoned: [], stalled: [] });
+  });
+
+  it('flags jobs of another worker or without an attempt here as abandoned', () => {
+    const jobs = [
+      { jobId: 'a', status: 'processing', owner: 'sw_old' },
+      { jobId: 'b', status: 'processing', owner: 'sw_me' }
+    ];
+    const { abandoned, stalled } = findOrphanedJobs(jobs, opts({ a: now }));
+    expect(abandoned.map(j => j.jobId)).toEqual(['a', 'b']);
+    expect(stalled).toEqual([]);
+  });
+
+  it('flags this worker\'s own attempts that stopped making progress as stalled', () => {
+    const jobs = [
+      { jobId: 'a', status: 'processing', owner: 'sw_me' },
+      { jobId: 'b', status: 'processing', owner: 'sw_me' }
+    ];
+    const { abandoned, stalled } = findOrphanedJobs(jobs, opts({ a: now - 120001, b: now - 1000 }));
+    expect(abandoned).toEqual([]);
+    expect(stalled.map(j => j.jobId)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,40 @@
+import {
+  BARCODE_MAX_MODULE_PT, BARCODE_MIN_MODULE_PT, GRIDS, barcodeFit, cutMarks, fitRect, gridCells, sheetSize
+} from '../src/labelLayout';
+
+describe('labelLayout', () => {
+  it('swaps sheet dimensions for landscape', () => {
+    expect(sheetSize('letter', false)).toEqual([612, 792]);
+    expect(sheetSize('letter', true)).toEqual([792, 612]);
+  });
+
+  it('splits a sheet into cells in reading order', () => {
+    const cells = gridCells(612, 792, GRIDS['4up'], 18);
+    expect(cells).toHaveLength(4);
+    expect(cells[0]).toEqual({ x: 18, y: 405, width: 279, height: 369 });
+    expect(cells[1].x).toBe(315);
+    expect(cells[2].y).toBe(18);
+  });
+
+  it('fits a 4x6 label inside a cell preserving aspect ratio', () => {
+    const r = fitRect(288, 432, { x: 0, y: 0, width: 288, height: 288 });
+    expect(r.height).toBe(288);
+    expect(r.width).toBe(192);
+    expect(r.x).toBe(48);
+  });
+
+  it('draws two marks per corner', () => {
+    const marks = cutMarks({ x: 10, y: 10, width: 100, height: 100 }, 6, 2);
+    expect(marks).toHaveLength(8);
+    expect(marks[0]).toEqual([8, 10, 2, 10]);
+  });
+
+  it('sizes a barcode with quiet zones and module width limits', () => {
+    const fit = barcodeFit(80, 100)!;
+    expect(fit.module).toBe(1);
+    expect(fit.quiet).toBe(10);
+    expect(fit.width).toBe(100);
+    expect(barcodeFit(80, 1000)!.module).toBe(BARCODE_MAX_MODULE_PT);
+    expect(barcodeFit(80, 100 * BARCODE_MIN_MODULE_PT - 1)).toBeNull();
+  });
+});
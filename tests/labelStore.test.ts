@@ -0,0 +1,30 @@
+import 'fake-indexeddb/auto';
+import { LabelStore } from '../src/labelStore';
+
+const bytes = (...values: number[]) => new Uint8Array(values).buffer;
+
+describe('LabelStore', () => {
+  afterEach(() => LabelStore.clearLabels());
+
+  it('stores, reads and deletes label bytes by demo order', async () => {
+    await LabelStore.putLabel(101, bytes(1, 2, 3));
+    await LabelStore.putLabel('102', bytes(4));
+    expect(new Uint8Array((await LabelStore.getLabel('101'))!)).toEqual(new Uint8Array([1, 2, 3]));
+    expect((await LabelStore.labelKeys()).sort()).toEqual(['101', '102']);
+
+    await LabelStore.deleteLabels([101]);
+    expect(await LabelStore.getLabel(101)).toBeNull();
+    expect(await LabelStore.labelKeys()).toEqual(['102']);
+  });
+
+  it('clears every label but leaves print batches alone', async () => {
+    await LabelStore.putLabel('1', bytes(1));
+    await LabelStore.putBatch('batch_1', { merged: bytes(9), labels: { '1': bytes(1) } });
+    await LabelStore.clearLabels();
+    expect(await LabelStore.labelKeys()).toEqual([]);
+    expect(new Uint8Array((await LabelStore.getBatch('batch_1'))!.merged)).toEqual(new Uint8Array([9]));
+
+    await LabelStore.deleteBatches(['batch_1']);
+    expect(await LabelStore.getBatch('batch_1')).toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+import { createMutex } from '../src/mutex';
+
+const tick = (ms: number) => new Promise(r => setTimeout(r, ms));
+
+describe('createMutex', () => {
+  it('runs tasks one at a time in call order', async () => {
+    const mutex = createMutex();
+    const events: string[] = [];
+    const task = (name: string, ms: number) => async () => {
+      events.push(`start ${name}`);
+      await tick(ms);
+      events.push(`end ${name}`);
+      return name;
+    };
+    const results = await Promise.all([mutex.run(task('a', 20)), mutex.run(task('b', 1))]);
+    expect(results).toEqual(['a', 'b']);
+    expect(events).toEqual(['start a', 'end a', 'start b', 'end b']);
+    expect(mutex.locked).toBe(false);
+  });
+
+  it('keeps going after a task rejects', async () => {
+    const mutex = createMutex();
+    const failed = mutex.run(() => { throw new Error('boom'); });
+    const next = mutex.run(() => 'ok');
+    expect(mutex.locked).toBe(true);
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ok');
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  DEFAULT_SITE_PROFILE, SITE_PROFILE_VERSION, fillSelector, labelAction, labelFunctions, normalizeSiteProfile, type JobKind
+} from '../src/siteProfile';
+
+describe('normalizeSiteProfile', () => {
+  it('fills missing sections and keys from the defaults', () => {
+    const profile = normalizeSiteProfile({
+      version: SITE_PROFILE_VERSION,
+      origin: 'https://shop.example.com/',
+      ship: { button: '#shipNow' }
+    });
+    expect(profile.origin).toBe('https://shop.example.com');
+    expect(profile.ship.button).toBe('#shipNow');
+    expect(profile.ship.accountLink).toBe(DEFAULT_SITE_PROFILE.ship.accountLink);
+    expect(profile.guards).toEqual(DEFAULT_SITE_PROFILE.guards);
+  });
+
+  it('drops keys the profile does not know', () => {
+    const profile = normalizeSiteProfile({ version: SITE_PROFILE_VERSION, orders: { extra: 'x' } }) as any;
+    expect(profile.orders.extra).toBeUndefined();
+  });
+
+  it('rejects other versions, bad origins and wrongly typed fields', () => {
+    expect(() => normalizeSiteProfile({ version: 99 })).toThrow(/version/);
+    expect(() => normalizeSiteProfile([])).toThrow(/object/);
+    expect(() => normalizeSiteProfile({ version: SITE_PROFILE_VERSION, origin: 'shop.example.com' })).toThrow(/origin/);
+    expect(() => normalizeSiteProfile({ version: SITE_PROFILE_VERSION, guards: { inputNames: 'iOrder' } }))
+      .toThrow('Site profile guards.inputNames has the wrong type');
+    expect(() => normalizeSiteProfile({ version: SITE_PROFILE_VERSION, label: { controls: ['a', 1] } }))
+      .toThrow(/label\.controls/);
+  });
+
+  it('rejects label URL patterns that are not valid regular expressions', () => {
+    expect(() => normalizeSiteProfile({ version: SITE_PROFILE_VERSION, label: { placeholderUrl: '(' } }))
+      .toThrow(/label\.placeholderUrl is not a valid regular expression/);
+    expect(() => normalizeSiteProfile({ version: SITE_PROFILE_VERSION, label: { labelPage: '[a-' } }))
+      .toThrow(/label\.labelPage/);
+    expect(() => normalizeSiteProfile({ version: SITE_PROFILE_VERSION, orders: { accountPage: '*' } }))
+      .toThrow(/orders\.accountPage/);
+  });
+
+  it('matches the account page the Ship It! modal links to', () => {
+    const page = new RegExp(DEFAULT_SITE_PROFILE.orders.accountPage, 'i');
+    expect(page.test('/cgi-bin/AccountInfo.cfm?iP=226963')).toBe(true);
+    expect(page.test('/cgi-bin/my_inventory.cfm?iorder=5')).toBe(false);
+  });
+});
+
+describe('labelAction', () => {
+  it('maps each job kind to its page function and menu item', () => {
+    expect(labelAction(DEFAULT_SITE_PROFILE, 'demo').fn).toBe('viewDemoLabel');
+    expect(labelAction(DEFAULT_SITE_PROFILE, 'return')).toEqual({
+      fn: 'viewReturnLabel', menuItem: DEFAULT_SITE_PROFILE.label.returnMenuItem
+    });
+    expect(labelAction(DEFAULT_SITE_PROFILE, 'email').fn).toBe('sendReturnLabel');
+    expect(() => labelAction(DEFAULT_SITE_PROFILE, 'fax' as any)).toThrow(/Unknown job kind/);
+  });
+
+  it('lists each kind\'s page function once, derived from the kind settings', () => {
+    const kinds: JobKind[] = ['demo', 'return', 'email'];
+    expect(labelFunctions(DEFAULT_SITE_PROFILE, kinds)).toEqual(['viewDemoLabel', 'viewReturnLabel', 'sendReturnLabel']);
+    expect(labelFunctions(DEFAULT_SITE_PROFILE, ['email', 'demo'])).toEqual(['sendReturnLabel', 'viewDemoLabel']);
+    const label = { ...DEFAULT_SITE_PROFILE.label, returnFunction: 'viewDemoLabel' };
+    expect(labelFunctions({ ...DEFAULT_SITE_PROFILE, label }, kinds)).toEqual(['viewDemoLabel', 'sendReturnLabel']);
+  });
+});
+
+describe('fillSelector', () => {
+  it('substitutes known placeholders and leaves others alone', () => {
+    expect(fillSelector(DEFAULT_SITE_PROFILE.orders.panel, { iorder: 123 })).toBe('#O123');
+    expect(fillSelector('#{a}-{b}', { a: 'x' })).toBe('#x-{b}');
+  });
+});
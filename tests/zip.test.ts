@@ -0,0 +1,26 @@
+import { crc32, createZip } from '../src/zip';
+
+describe('zip', () => {
+  it('computes crc32', () => {
+    expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+  });
+
+  it('writes stored entries with a central directory', () => {
+    const data = new TextEncoder().encode('%PDF-1.4');
+    const zip = createZip([
+      { name: 'a.pdf', data, date: new Date(2026, 9, 19, 14, 30) },
+      { name: 'b.pdf', data }
+    ]);
+    const view = new DataView(zip.buffer);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(new TextDecoder().decode(zip.slice(30, 35))).toBe('a.pdf');
+    expect(new TextDecoder().decode(zip.slice(35, 43))).toBe('%PDF-1.4');
+
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const centralOffset = view.getUint32(end + 16, true);
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    expect(view.getUint32(centralOffset + 42, true)).toBe(0);
+  });
+});